@@ -1,53 +1,377 @@
 /**
  * Background Service Worker — Handles extension installation, onboarding,
- * and proxies Gemini API streaming calls (content scripts can't use host_permissions).
+ * and proxies LLM streaming calls (content scripts can't use host_permissions).
+ * It is also the only context that reads API keys: content scripts send just
+ * their prompts, and extension pages manage keys through the key actions below.
  */
 
-// Import utilities so we can call the Gemini API from this privileged context
-importScripts('utils/storage.js', 'utils/rate-limiter.js', 'utils/gemini-api.js');
+// Import utilities so we can call the provider APIs from this privileged context
+importScripts(
+  'utils/storage.js',
+  'utils/key-vault.js',
+  'utils/rate-limiter.js',
+  'utils/usage.js',
+  'utils/errors.js',
+  'utils/gemini-api.js',
+  'utils/openai-api.js',
+  'utils/ollama-api.js',
+  'utils/providers.js'
+);
 
 // ── Open onboarding page on first install ──
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     chrome.tabs.create({ url: chrome.runtime.getURL('onboarding.html') });
   }
+  // Earlier versions stored keys where content scripts could read them
+  KeyVault.migrate();
+  createSelectionMenus();
 });
 
+/**
+ * Send a message to a tab's content script. Tabs opened before the extension
+ * was installed have no content script yet — inject it once, then retry.
+ * @param {number} tabId
+ * @param {Object} message
+ * @returns {Promise<any>} The content script's response
+ */
+async function sendToTab(tabId, message) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, message);
+  } catch {
+    const { js, css } = chrome.runtime.getManifest().content_scripts[0];
+    await chrome.scripting.insertCSS({ target: { tabId }, files: css });
+    await chrome.scripting.executeScript({ target: { tabId }, files: js });
+    return chrome.tabs.sendMessage(tabId, message);
+  }
+}
+
+// ── Context menu: run a mode on the selected text ──
+const SELECTION_MENU_ITEMS = [
+  { id: 'briefrr-selection-highlights', mode: 'highlights', title: 'Highlight selection' },
+  { id: 'briefrr-selection-explain', mode: 'explain', title: 'Explain selection' },
+  { id: 'briefrr-selection-search', mode: 'search', title: 'Ask about selection' }
+];
+
+/** (Re)create the selection context menu items — Chrome groups them under "Briefrr". */
+function createSelectionMenus() {
+  chrome.contextMenus.removeAll(() => {
+    for (const { id, title } of SELECTION_MENU_ITEMS) {
+      chrome.contextMenus.create({ id, title, contexts: ['selection'] });
+    }
+  });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const item = SELECTION_MENU_ITEMS.find(({ id }) => id === info.menuItemId);
+  if (!item || !tab?.id) return;
+
+  try {
+    await sendToTab(tab.id, { action: 'briefrr-run', mode: item.mode, selection: info.selectionText });
+  } catch (err) {
+    // Injection not possible on this page (e.g. chrome:// URLs)
+    console.warn('[Briefrr] Could not run on selection:', err.message);
+  }
+});
+
+// ── API keys and provider checks (extension pages only) ──
+// Each action resolves to { ok: true, result } or { ok: false, error };
+// pages call them through askBackground() in providers.js.
+const KEY_ACTIONS = {
+  'briefrr-key-status': async () => ({
+    provider: getProvider((await Storage.getProviderSettings()).provider).id,
+    ...await KeyVault.status()
+  }),
+  'briefrr-key-set': ({ provider, key }) => KeyVault.setKey(provider, key),
+  'briefrr-key-remove': ({ provider }) => KeyVault.setKey(provider, ''),
+  'briefrr-key-unlock': ({ passphrase }) => KeyVault.unlock(passphrase),
+  'briefrr-key-lock': () => KeyVault.lock(),
+  'briefrr-key-encrypt': ({ passphrase }) => KeyVault.encrypt(passphrase),
+  'briefrr-key-decrypt': () => KeyVault.decrypt(),
+  // Test a provider or list its models; a config without a key uses the stored one
+  'briefrr-provider-validate': async ({ config }) => getProvider(config.provider).validateKey(await withStoredKey(config)),
+  'briefrr-provider-models': async ({ config }) => getProvider(config.provider).listModels(await withStoredKey(config))
+};
+
+/**
+ * Fill in a config's API key from the vault when it has none.
+ * @param {{ provider: string, apiKey?: string }} config
+ * @returns {Promise<Object>}
+ */
+async function withStoredKey(config) {
+  return config.apiKey ? config : { ...config, apiKey: await KeyVault.getKey(config.provider) };
+}
+
+/**
+ * The active provider's request config for a mode, with its key.
+ * @param {string} mode
+ * @returns {Promise<{ provider: string, apiKey: string|null, baseUrl?: string, model: string, fallbackModels: string[], temperature: number, maxOutputTokens: number }>}
+ * @throws {Error} 'MISSING_KEY' when the provider needs a key and none is saved,
+ *   'KEY_LOCKED' while the keys are encrypted and locked
+ */
+async function getRequestConfig(mode) {
+  const config = await withStoredKey(await getProviderConfig(mode));
+  if (getProvider(config.provider).requiresKey && !config.apiKey) throw createError(ERROR_CODES.MISSING_KEY);
+  return config;
+}
+
+/** Whether a message came from one of the extension's own pages (not a content script). */
+function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id && (sender.url || '').startsWith(chrome.runtime.getURL(''));
+}
+
 // ── Simple message handler (popup → content script relay) ──
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (KEY_ACTIONS[message.action]) {
+    if (!isExtensionPage(sender)) return;
+    KEY_ACTIONS[message.action](message).then(
+      (result) => sendResponse({ ok: true, result }),
+      (err) => sendResponse({ ok: false, error: err.message })
+    );
+    return true;
+  }
+
   if (message.action === 'briefrr-run') {
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs[0]) {
-        chrome.tabs.sendMessage(tabs[0].id, message, (response) => {
-          sendResponse(response);
-        });
+    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+      if (!tabs[0]) return sendResponse({ ok: false });
+      try {
+        sendResponse(await sendToTab(tabs[0].id, message));
+      } catch {
+        // Injection not possible on this page (e.g. chrome:// URLs)
+        sendResponse({ ok: false });
       }
     });
     return true;
   }
+
+  if (message.action === 'briefrr-open-options') {
+    // The drawer's "Open Settings" button — content scripts can't open it themselves
+    chrome.runtime.openOptionsPage();
+    return;
+  }
+
+  if (message.action === 'briefrr-compare') {
+    compareTabs(message.tabIds, message.targetTabId).then(
+      (response) => sendResponse(response),
+      (err) => sendResponse({ ok: false, error: err.message })
+    );
+    return true;
+  }
+
+  if (message.action === 'briefrr-load-pdfjs') {
+    // pdf.js is ~1.4 MB, so it's only injected into tabs that show a PDF
+    chrome.scripting.executeScript({
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+      files: ['libs/pdf.min.js', 'libs/pdf.worker.min.js']
+    }).then(
+      () => sendResponse({ ok: true }),
+      (err) => sendResponse({ ok: false, error: err.message })
+    );
+    return true;
+  }
+});
+
+/**
+ * Extract each chosen tab through its content script (one at a time, since
+ * PDFs are parsed in their tab), then run the comparison in the target tab's drawer.
+ * @param {number[]} tabIds - Tabs to compare
+ * @param {number} targetTabId - Tab whose drawer shows the comparison
+ */
+async function compareTabs(tabIds, targetTabId) {
+  const sources = [];
+  const skipped = [];
+
+  for (const tabId of tabIds) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) continue;
+    try {
+      const response = await sendToTab(tabId, { action: 'briefrr-extract' });
+      if (response?.ok) sources.push(response.source);
+      else skipped.push({ title: tab.title, error: response?.error || 'no response' });
+    } catch {
+      // Tabs opened before install (or discarded) have no content script to ask
+      skipped.push({ title: tab.title, error: 'reload the tab and try again' });
+    }
+  }
+
+  return sendToTab(targetTabId, { action: 'briefrr-compare', sources, skipped });
+}
+
+// ── Keyboard shortcuts (configurable at chrome://extensions/shortcuts) ──
+const COMMAND_MESSAGES = {
+  'run-highlights': { action: 'briefrr-run', mode: 'highlights' },
+  'run-explain': { action: 'briefrr-run', mode: 'explain' },
+  'open-search': { action: 'briefrr-run', mode: 'search' },
+  'toggle-drawer': { action: 'briefrr-toggle' }
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const message = COMMAND_MESSAGES[command];
+  if (!message || !tab?.id) return;
+
+  try {
+    await sendToTab(tab.id, message);
+  } catch (err) {
+    console.warn(`[Briefrr] Could not run "${command}":`, err.message);
+  }
 });
 
 // ── Streaming port handler ──
-// Content script opens a port, sends { apiKey, prompt, systemPrompt },
-// and we stream chunks back as { type:'chunk', text } messages.
+// Content script opens a port and sends { prompt, systemPrompt, mode, schema, deferrable };
+// the provider config and key are resolved here, never sent. Replies are
+// described on streamAttempt; the handler adds { type:'fallback', model } and
+// { type:'error', error } (serialized, see errors.js).
+
+// A model that would keep a request waiting longer than this is skipped for the next one in the chain
+const FALLBACK_WAIT_MS = 10 * 1000;
+
 chrome.runtime.onConnect.addListener((port) => {
   if (port.name !== 'briefrr-stream') return;
 
-  port.onMessage.addListener(async (msg) => {
-    const { apiKey, prompt, systemPrompt } = msg;
+  // Closing the drawer disconnects the port, which also takes the request out of the queue
+  const disconnected = new AbortController();
+  port.onDisconnect.addListener(() => disconnected.abort());
 
+  port.onMessage.addListener(async (msg) => {
+    // prompt may be Search's conversation turns; mode picks the model and labels the
+    // usage log; schema asks for JSON (Extract); deferrable marks auto-briefs
+    const { prompt, systemPrompt, mode, schema = null, deferrable = false } = msg;
+    let config;
     try {
-      for await (const chunk of streamGeminiResponse(apiKey, prompt, systemPrompt)) {
-        try {
-          port.postMessage({ type: 'chunk', text: chunk });
-        } catch {
-          // Port disconnected (drawer closed) — stop streaming
-          return;
-        }
-      }
-      try { port.postMessage({ type: 'done' }); } catch { /* port closed */ }
+      config = await getRequestConfig(mode);
     } catch (err) {
-      try { port.postMessage({ type: 'error', error: err.message }); } catch { /* port closed */ }
+      postToPort(port, { type: 'error', error: serializeError(err) });
+      return;
+    }
+    const provider = getProvider(config.provider);
+    const promptText = Array.isArray(prompt) ? prompt.map(turn => turn.text).join('') : prompt;
+    const request = { prompt, systemPrompt, mode, schema, promptChars: systemPrompt.length + promptText.length };
+
+    // Auto-briefs (deferrable) only run when the mode's model can start right
+    // away and today's quota isn't nearly used, so briefs nobody asked for yet
+    // never queue behind or crowd out the user's own requests
+    if (deferrable && provider.rateLimited) {
+      const wait = await RateLimiter.estimateWait(config.model, request.promptChars);
+      if (wait > 0 || (await Usage.getToday()).nearLimit) {
+        const error = createError(ERROR_CODES.RATE_LIMITED, 'Skipped to save quota.', { retryAfterMs: wait });
+        postToPort(port, { type: 'error', error: serializeError(error) });
+        return;
+      }
+    }
+
+    // The mode's model first, then the fallbacks in order (quota-limited providers only;
+    // auto-briefs stay on the mode's model)
+    const chain = provider.rateLimited && !deferrable ? [...new Set([config.model, ...config.fallbackModels])] : [config.model];
+    let failed = false;
+
+    for (let i = 0; i < chain.length; i++) {
+      const model = chain[i];
+      const last = i === chain.length - 1;
+      // Models still backing off or out of budget are passed over while another one remains
+      if (!last && provider.rateLimited && await RateLimiter.estimateWait(model, request.promptChars) > FALLBACK_WAIT_MS) continue;
+
+      if (failed) postToPort(port, { type: 'fallback', model });
+      const { error } = await streamAttempt(port, provider, { ...config, model }, request, disconnected.signal);
+      if (!error || disconnected.signal.aborted) return;
+
+      // Rate limits, spent quotas and overloads before any text was sent can be retried on the next model
+      failed = true;
+      if (last || !FALLBACK_ERROR_CODES.includes(error.code)) {
+        postToPort(port, { type: 'error', error: serializeError(error) });
+        return;
+      }
     }
   });
 });
+
+/**
+ * Post to a content script's port, ignoring a port that has closed.
+ * @param {chrome.runtime.Port} port
+ * @param {Object} message
+ * @returns {boolean} Whether the message was sent
+ */
+function postToPort(port, message) {
+  try {
+    port.postMessage(message);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run one request on one model: wait for the rate limiter, stream the
+ * response to the port, then settle the rate limiter and log the usage.
+ *
+ * Posts { type:'queued', position, etaMs } while waiting in RateLimiter's
+ * queue and { type:'started' } once admitted, { type:'model', provider, model }
+ * before the first { type:'chunk', text }, and { type:'done', truncated }
+ * (truncated: it stopped at the max output tokens) at the end.
+ * @param {chrome.runtime.Port} port
+ * @param {typeof PROVIDERS.gemini} provider
+ * @param {Object} config - Request config for the model to try
+ * @param {{ prompt: string|Array, systemPrompt: string, mode: string, schema: Object|null, promptChars: number }} request
+ * @param {AbortSignal} signal - Aborted when the port disconnects
+ * @returns {Promise<{ error: Error|null }>} The typed error when the model failed before
+ *   sending any text (the caller decides whether to try the next model);
+ *   errors after the first chunk are reported to the port here
+ */
+async function streamAttempt(port, provider, config, request, signal) {
+  let ticket = null;
+  if (provider.rateLimited) {
+    let queued = false;
+    ticket = await RateLimiter.acquire(config.model, request.promptChars, ({ position, etaMs }) => {
+      queued = true;
+      postToPort(port, { type: 'queued', position, etaMs });
+    }, signal);
+    if (ticket === null) return { error: null };
+    if (queued) postToPort(port, { type: 'started' });
+  }
+
+  const stream = provider.stream(config, request.prompt, request.systemPrompt, request.schema);
+  let answered = false;
+  let complete = false;
+  let usage = null;
+  let truncated = false;
+  let error = null;
+
+  try {
+    while (true) {
+      const { value, done } = await stream.next();
+      if (done) {
+        usage = value?.usage || null;
+        truncated = !!value?.truncated;
+        complete = true;
+        break;
+      }
+      if (!answered) postToPort(port, { type: 'model', provider: provider.name, model: config.model });
+      answered = true;
+      if (!postToPort(port, { type: 'chunk', text: value })) {
+        // Port disconnected (drawer closed) — stop streaming
+        stream.return();
+        break;
+      }
+    }
+    if (complete) postToPort(port, { type: 'done', truncated });
+  } catch (err) {
+    if (answered) postToPort(port, { type: 'error', error: serializeError(err) });
+    else error = toTypedError(err);
+  }
+
+  // Swap the token estimate for the real count, so TPM pacing stays accurate
+  if (ticket !== null) RateLimiter.settle(ticket, usage?.totalTokens);
+
+  // Requests the model answered count toward the provider's quota
+  if (answered || complete) {
+    Usage.record({
+      provider: config.provider,
+      model: config.model,
+      mode: request.mode || 'unknown',
+      promptChars: request.promptChars,
+      ...usage,
+      complete
+    });
+  }
+
+  return { error };
+}
@@ -7,78 +7,6 @@
   if (window.__briefrr_loaded) return;
   window.__briefrr_loaded = true;
 
-  /* ────────────────────────────────────────────
-     Lightweight Markdown → HTML converter
-     Handles: headings, bold, italic, bullets,
-     inline code, code blocks, paragraphs
-  ──────────────────────────────────────────── */
-  function markdownToHtml(md) {
-    if (!md) return '';
-    let html = md;
-
-    // Code blocks (```)
-    html = html.replace(/```(\w*)\n([\s\S]*?)```/g, (_, lang, code) => {
-      return `<pre class="pb-code-block"><code>${escapeHtml(code.trim())}</code></pre>`;
-    });
-
-    // Split into lines for block-level processing
-    const lines = html.split('\n');
-    const output = [];
-    let inList = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i];
-
-      // Headings
-      if (line.startsWith('### ')) { closePendingList(); output.push(`<h3 class="pb-h3">${inline(line.slice(4))}</h3>`); continue; }
-      if (line.startsWith('## ')) { closePendingList(); output.push(`<h2 class="pb-h2">${inline(line.slice(3))}</h2>`); continue; }
-      if (line.startsWith('# ')) { closePendingList(); output.push(`<h1 class="pb-h1">${inline(line.slice(2))}</h1>`); continue; }
-
-      // Bullet points
-      if (/^[-*] /.test(line)) {
-        if (!inList) { output.push('<ul class="pb-ul">'); inList = true; }
-        output.push(`<li>${inline(line.slice(2))}</li>`);
-        continue;
-      }
-
-      // Numbered lists
-      if (/^\d+\.\s/.test(line)) {
-        if (!inList) { output.push('<ol class="pb-ol">'); inList = true; }
-        output.push(`<li>${inline(line.replace(/^\d+\.\s/, ''))}</li>`);
-        continue;
-      }
-
-      // Close list if open
-      closePendingList();
-
-      // Blank line
-      if (line.trim() === '') { continue; }
-
-      // Paragraph
-      output.push(`<p class="pb-p">${inline(line)}</p>`);
-    }
-    closePendingList();
-
-    function closePendingList() {
-      if (inList) { output.push(output[output.length - 1]?.startsWith('<li>') ? '</ul>' : '</ul>'); inList = false; }
-    }
-
-    return output.join('\n');
-
-    /** Inline formatting: bold, italic, code, links */
-    function inline(text) {
-      text = text.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-      text = text.replace(/\*(.+?)\*/g, '<em>$1</em>');
-      text = text.replace(/`(.+?)`/g, '<code class="pb-inline-code">$1</code>');
-      text = text.replace(/\[(.+?)\]\((.+?)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-      return text;
-    }
-  }
-
-  function escapeHtml(str) {
-    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-  }
-
   /* ────────────────────────────────────────────
      Shadow DOM Drawer
   ──────────────────────────────────────────── */
@@ -90,11 +18,39 @@
   let debounceTimer = null;
   let countdownInterval = null;
 
+  // Search conversation for this tab — kept until the drawer is closed
+  let searchThread = [];      // [{ question, answer }]
+  let lastSearchQuestion = '';
+
+  // Text selected via the context menu — when set, modes run on it instead of the whole page
+  let selectionScope = '';
+
+  // Plain text of the numbered passages from the last extraction, for citation chips
+  let currentParagraphs = [];
+
+  // The finished Brief/Explain result shown in the drawer, for export
+  let lastResult = null;      // { mode, modeName, title, markdown, selection, createdAt, data? } — data: Extract's tables
+
+  // Built-in and custom modes, in header order (refreshed from storage by refreshModes)
+  let modeList = BUILTIN_MODES;
+
+  // Tabs from the last multi-tab comparison, so Retry can run it again
+  let compareSources = null;  // { sources: [{ title, url, siteName, content }], skipped: [{ title, error }] }
+
+  // Response language picked in the footer for this drawer; null uses the Settings language
+  let languageOverride = null;  // null | '' (page language) | language code
+
+  // Theme, dock side, width and font size from Settings (see applyAppearance)
+  let appearance = null;
+  // The page margin the drawer replaced while pushing content aside, restored on close
+  let pagePush = null;        // { property, value, priority }
+
   /** Inject the drawer host element if not already present. */
   function ensureHost() {
     if (hostEl) return;
     hostEl = document.createElement('div');
     hostEl.id = 'briefrr-host';
+    hostEl.dataset.theme = 'system';
     document.documentElement.appendChild(hostEl);
     shadowRoot = hostEl.attachShadow({ mode: 'closed' });
 
@@ -107,22 +63,37 @@
     const drawer = document.createElement('div');
     drawer.id = 'briefrr-drawer';
     drawer.className = 'briefrr-drawer';
+    drawer.tabIndex = -1; // Focusable so in-drawer shortcuts work right after opening
     drawer.innerHTML = `
+      <div class="briefrr-resize" id="pb-resize" title="Drag to resize"></div>
       <div class="briefrr-header">
         <div class="briefrr-title">
           <span class="briefrr-logo" id="pb-logo">⚡</span>
           <span id="pb-title-text">Briefrr — Brief</span>
         </div>
         <div class="briefrr-actions">
-          <button class="briefrr-mode-btn" id="pb-mode-brief" title="Brief (5-10 points)">⚡</button>
-          <button class="briefrr-mode-btn" id="pb-mode-explain" title="Explain (10-20 points)">📖</button>
-          <button class="briefrr-mode-btn" id="pb-mode-search" title="Search page">🔍</button>
-          <button class="briefrr-close" id="pb-close" title="Close">✕</button>
+          <span class="briefrr-mode-btns" id="pb-mode-btns"></span>
+          <button class="briefrr-export-btn" id="pb-export" title="Export">⤓</button>
+          <button class="briefrr-close" id="pb-close" title="Close — Esc">✕</button>
         </div>
       </div>
+      <div class="briefrr-export-menu" id="pb-export-menu" style="display: none;">
+        <button data-export="copy-md">📋 Copy Markdown</button>
+        <button data-export="copy-note">🗒️ Copy for Obsidian / Notion</button>
+        <button data-export="md">⬇️ Download .md</button>
+        <button data-export="html">⬇️ Download .html</button>
+        <button data-export="txt">⬇️ Download .txt</button>
+        <button data-export="csv" data-structured>⬇️ Download .csv</button>
+        <button data-export="json" data-structured>⬇️ Download .json</button>
+      </div>
       <div class="briefrr-search-bar" id="pb-search-bar" style="display: none;">
         <input type="text" id="pb-search-input" placeholder="Ask a question about this page..." />
         <button id="pb-search-btn">Search</button>
+        <button class="pb-new-chat-btn" id="pb-new-chat" title="Start a new conversation">↺</button>
+      </div>
+      <div class="briefrr-selection" id="pb-selection" style="display: none;">
+        <blockquote class="pb-selection-quote" id="pb-selection-quote"></blockquote>
+        <button class="pb-selection-clear" id="pb-selection-clear" title="Brief the whole page instead">Use whole page</button>
       </div>
       <div class="briefrr-content" id="pb-content">
         <div class="pb-loading">
@@ -130,33 +101,431 @@
           <span>Extracting page content...</span>
         </div>
       </div>
+      <div class="briefrr-usage-warning" id="pb-usage-warning" style="display: none;"></div>
       <div class="briefrr-footer">
-        <span class="briefrr-powered">Powered by Gemini</span>
+        <span class="briefrr-powered" id="pb-powered">Powered by Gemini</span>
+        <select class="briefrr-language" id="pb-language" title="Response language"></select>
       </div>
     `;
     shadowRoot.appendChild(drawer);
 
+    // Collapsed tab that stands in for the drawer on auto-briefed pages (see Auto-Brief)
+    const tab = document.createElement('button');
+    tab.id = 'pb-tab';
+    tab.className = 'briefrr-tab';
+    tab.hidden = true;
+    tab.addEventListener('click', () => runBriefrr(autoBrief.mode));
+    shadowRoot.appendChild(tab);
+
     // Close button
     shadowRoot.getElementById('pb-close').addEventListener('click', closeDrawer);
 
-    // Mode buttons
-    shadowRoot.getElementById('pb-mode-brief').addEventListener('click', () => switchMode('highlights'));
-    shadowRoot.getElementById('pb-mode-explain').addEventListener('click', () => switchMode('explain'));
-    shadowRoot.getElementById('pb-mode-search').addEventListener('click', () => switchMode('search'));
+    // Theme, docking side, width and font size
+    applyAppearance();
+    initResizeHandle(drawer);
+
+    // Mode buttons — built-in modes first, then custom modes from Settings
+    renderModeButtons();
+    refreshModes();
+    shadowRoot.getElementById('pb-mode-btns').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-mode]');
+      if (btn) switchMode(btn.dataset.mode);
+    });
 
     // Search button
     shadowRoot.getElementById('pb-search-btn').addEventListener('click', () => {
       if (currentMode === 'search') {
-        runBriefrr('search');
+        askQuestion();
       }
     });
 
     // Enter key in search input
     shadowRoot.getElementById('pb-search-input').addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
-        runBriefrr('search');
+        askQuestion();
       }
     });
+
+    // New conversation
+    shadowRoot.getElementById('pb-new-chat').addEventListener('click', () => {
+      if (isStreaming && abortController) abortController.abort();
+      searchThread = [];
+      lastSearchQuestion = '';
+      showSearchIntro();
+      shadowRoot.getElementById('pb-search-input').focus();
+    });
+
+    // Export menu
+    const exportMenu = shadowRoot.getElementById('pb-export-menu');
+    shadowRoot.getElementById('pb-export').addEventListener('click', () => {
+      exportMenu.style.display = exportMenu.style.display === 'none' ? 'flex' : 'none';
+      // CSV and JSON are only offered for Extract's tables
+      exportMenu.querySelectorAll('[data-structured]').forEach((item) => {
+        item.style.display = currentMode === 'extract' ? '' : 'none';
+      });
+    });
+    exportMenu.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-export]');
+      if (!item) return;
+      exportMenu.style.display = 'none';
+      exportResult(item.dataset.export);
+    });
+    shadowRoot.addEventListener('click', (e) => {
+      if (!e.target.closest('#pb-export-menu, #pb-export')) exportMenu.style.display = 'none';
+    });
+
+    // Citation chips scroll the page to their source passage; timestamps seek the video
+    shadowRoot.getElementById('pb-content').addEventListener('click', (e) => {
+      const chip = e.target.closest('.pb-cite');
+      if (!chip) return;
+      if (chip.dataset.time) seekVideo(parseTimestamp(chip.dataset.time));
+      else showSource(Number(chip.dataset.cite));
+    });
+
+    // Extract tables sort by the clicked column header, and download one at a time as CSV
+    shadowRoot.getElementById('pb-content').addEventListener('click', (e) => {
+      const header = e.target.closest('.pb-extract-table th');
+      if (header) sortExtractTable(header);
+      const csvButton = e.target.closest('.pb-extract-csv');
+      if (csvButton) exportExtractTable(csvButton.dataset.table);
+    });
+
+    // In-drawer shortcuts: 1/2/3 switch modes, / focuses the search input
+    drawer.addEventListener('keydown', handleDrawerKeydown);
+
+    // Response language for this drawer — re-runs the current mode in the new
+    // language; Search answers the next question in it
+    renderLanguageOptions();
+    shadowRoot.getElementById('pb-language').addEventListener('change', (e) => {
+      languageOverride = e.target.value === 'default' ? null : e.target.value;
+      if (currentMode !== 'search') runBriefrr(currentMode);
+    });
+
+    // Drop the selection and go back to briefing the whole page
+    shadowRoot.getElementById('pb-selection-clear').addEventListener('click', () => {
+      setSelectionScope('');
+      if (currentMode === 'search') {
+        if (isStreaming && abortController) abortController.abort();
+        showSearchIntro();
+      } else {
+        runBriefrr(currentMode);
+      }
+    });
+  }
+
+  /** Render one header button per mode, marking the current one active. */
+  function renderModeButtons() {
+    const container = shadowRoot.getElementById('pb-mode-btns');
+    container.innerHTML = '';
+    modeList.forEach((mode, i) => {
+      const btn = document.createElement('button');
+      btn.className = 'briefrr-mode-btn' + (mode.id === currentMode ? ' active' : '');
+      btn.dataset.mode = mode.id;
+      btn.textContent = mode.icon;
+      const keys = [i < 9 && String(i + 1), mode.id === 'search' && '/'].filter(Boolean).join(' or ');
+      btn.title = keys ? `${mode.name} — ${keys}` : mode.name;
+      container.appendChild(btn);
+    });
+  }
+
+  /** Reload the mode list from storage and redraw the header buttons. */
+  async function refreshModes() {
+    modeList = await Modes.getAll();
+    if (!shadowRoot) return;
+    renderModeButtons();
+    updateHeader(currentMode);
+  }
+
+  // Custom modes and the response language edited in Settings show up in an open drawer right away
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !hostEl) return;
+    if (changes.customModes) refreshModes();
+    if (changes.responseLanguage) renderLanguageOptions();
+    if (changes.appearance) applyAppearance();
+    if (changes.usageLog || changes.dailyRequestLimit) refreshUsageWarning();
+  });
+
+  /**
+   * Fill the footer's language picker: the Settings language ("Default"),
+   * the page's own language, then every offered language.
+   */
+  async function renderLanguageOptions() {
+    const setting = await Storage.getResponseLanguage();
+    const select = shadowRoot.getElementById('pb-language');
+    const option = (value, label) => `<option value="${value}">${Markdown.escape(label)}</option>`;
+    select.innerHTML = [
+      option('default', `Default (${setting ? languageName(setting) : 'Page language'})`),
+      option('', 'Page language'),
+      ...RESPONSE_LANGUAGES.map(code => option(code, languageName(code)))
+    ].join('');
+    select.value = languageOverride === null ? 'default' : languageOverride;
+  }
+
+  /**
+   * The language responses should be written in right now.
+   * @returns {Promise<string>} A language code, or '' for the content's own language
+   */
+  async function getResponseLanguage() {
+    return languageOverride === null ? Storage.getResponseLanguage() : languageOverride;
+  }
+
+  /**
+   * Scope the drawer to a selected passage (or back to the whole page when empty),
+   * quoting it at the top of the drawer. A new scope starts a new search conversation.
+   * @param {string} fallbackText - Selection text reported by the context menu; the live
+   *   selection is preferred because it keeps line breaks
+   */
+  function setSelectionScope(fallbackText) {
+    const liveText = fallbackText ? window.getSelection()?.toString().trim() : '';
+    const text = liveText || fallbackText || '';
+    if (text !== selectionScope) {
+      searchThread = [];
+      lastSearchQuestion = '';
+    }
+    selectionScope = text;
+
+    if (!shadowRoot) return;
+    shadowRoot.getElementById('pb-selection').style.display = text ? 'flex' : 'none';
+    shadowRoot.getElementById('pb-selection-quote').textContent = text;
+  }
+
+  /* ────────────────────────────────────────────
+     Appearance
+  ──────────────────────────────────────────── */
+  const MIN_DRAWER_WIDTH = 320;
+  const MAX_DRAWER_WIDTH = 800;
+
+  /** Apply the appearance settings to the drawer (and the page margin, when pushing content). */
+  async function applyAppearance() {
+    appearance = await Storage.getAppearance();
+    hostEl.dataset.theme = appearance.theme;
+    hostEl.dataset.dock = appearance.dock;
+    hostEl.style.setProperty('--briefrr-font-size', `${appearance.fontSize}px`);
+    setDrawerWidth(appearance.width);
+  }
+
+  /**
+   * Resize the drawer (clamped to MIN/MAX_DRAWER_WIDTH) without saving.
+   * @param {number} width - In CSS pixels
+   */
+  function setDrawerWidth(width) {
+    appearance.width = Math.round(Math.min(MAX_DRAWER_WIDTH, Math.max(MIN_DRAWER_WIDTH, width)));
+    // Set on the host so content.css sizes the host element to match
+    hostEl.style.setProperty('--briefrr-width', `${appearance.width}px`);
+    updatePagePush();
+  }
+
+  /** Dragging the drawer's inner edge resizes it; the width is saved when the drag ends. */
+  function initResizeHandle(drawer) {
+    const handle = shadowRoot.getElementById('pb-resize');
+    handle.addEventListener('pointerdown', (e) => {
+      if (!appearance) return;
+      e.preventDefault();
+      handle.setPointerCapture(e.pointerId);
+      drawer.classList.add('resizing');
+    });
+    handle.addEventListener('pointermove', (e) => {
+      if (!handle.hasPointerCapture(e.pointerId)) return;
+      setDrawerWidth(appearance.dock === 'left' ? e.clientX : window.innerWidth - e.clientX);
+    });
+    handle.addEventListener('lostpointercapture', () => {
+      drawer.classList.remove('resizing');
+      Storage.setAppearance(appearance);
+    });
+  }
+
+  /**
+   * With "push page content" on, give the page a margin the width of the open
+   * drawer so nothing is hidden under it; otherwise (or once closed) restore
+   * the page's own margin. Small screens always overlay, as the drawer is full-width.
+   */
+  function updatePagePush() {
+    const root = document.documentElement;
+    if (pagePush) {
+      root.style.setProperty(pagePush.property, pagePush.value, pagePush.priority);
+      pagePush = null;
+    }
+    if (!isDrawerOpen() || !appearance?.pushContent || window.innerWidth <= 768) return;
+
+    const property = appearance.dock === 'left' ? 'margin-left' : 'margin-right';
+    pagePush = { property, value: root.style.getPropertyValue(property), priority: root.style.getPropertyPriority(property) };
+    root.style.setProperty(property, `${appearance.width}px`, 'important');
+  }
+
+  // Crossing the small-screen breakpoint switches between pushing and overlaying
+  window.addEventListener('resize', () => {
+    if (pagePush || isDrawerOpen()) updatePagePush();
+  });
+
+  /* ────────────────────────────────────────────
+     Export
+  ──────────────────────────────────────────── */
+
+  /**
+   * The drawer's current output as an export entry: the search conversation
+   * in Search mode, otherwise the last finished brief.
+   * @returns {{ title: string, url: string, mode: string, modeName?: string, createdAt: number, markdown: string }|null}
+   */
+  function getExportEntry() {
+    const url = location.href;
+
+    if (currentMode === 'search') {
+      if (!searchThread.length) return null;
+      const markdown = searchThread.map(({ question, answer }) => `## ${question}\n\n${answer}`).join('\n\n');
+      return { title: document.title, url, mode: 'search', createdAt: Date.now(), markdown: quoteSelection(markdown, selectionScope) };
+    }
+
+    if (!lastResult || lastResult.mode !== currentMode) return null;
+    const { mode, modeName, title, markdown, selection, createdAt } = lastResult;
+    return { title, url, mode, modeName, createdAt, markdown: quoteSelection(markdown, selection) };
+  }
+
+  /** Prefix a result with the selected passage it was generated from, as a blockquote. */
+  function quoteSelection(markdown, selection) {
+    if (!selection) return markdown;
+    return `${selection.split('\n').map(line => `> ${line}`).join('\n')}\n\n${markdown}`;
+  }
+
+  /** Copy or download the current output in the chosen format. */
+  async function exportResult(format) {
+    const entry = getExportEntry();
+    if (!entry) {
+      flashFooter('Nothing to export yet');
+      return;
+    }
+
+    if (format === 'copy-md') {
+      flashFooter(await Exporter.copy(entry.markdown) ? 'Copied Markdown ✓' : 'Couldn\'t copy to clipboard');
+    } else if (format === 'copy-note') {
+      flashFooter(await Exporter.copy(Exporter.toNote(entry)) ? 'Copied note ✓' : 'Couldn\'t copy to clipboard');
+    } else if (format === 'md') {
+      Exporter.download(Exporter.filename(entry, 'md'), Exporter.toMarkdown(entry), 'text/markdown');
+    } else if (format === 'html') {
+      Exporter.download(Exporter.filename(entry, 'html'), Exporter.toHtml(entry, Markdown.render(entry.markdown)), 'text/html');
+    } else if (format === 'txt') {
+      Exporter.download(Exporter.filename(entry, 'txt'), Exporter.toPlainText(entry), 'text/plain');
+    } else if (format === 'csv' || format === 'json') {
+      if (!lastResult.data) {
+        flashFooter('CSV and JSON are for Extract results');
+      } else if (format === 'csv') {
+        Exporter.download(Exporter.filename(entry, 'csv'), StructuredData.toCsv(lastResult.data), 'text/csv');
+      } else {
+        Exporter.download(Exporter.filename(entry, 'json'), StructuredData.toJson(lastResult.data, entry), 'application/json');
+      }
+    }
+  }
+
+  /**
+   * Download one of the Extract tables as CSV.
+   * @param {string} key - Key of an EXTRACT_TABLES entry
+   */
+  function exportExtractTable(key) {
+    const entry = getExportEntry();
+    const table = EXTRACT_TABLES.find(item => item.key === key);
+    if (!entry || !lastResult.data || !table) return;
+    Exporter.download(Exporter.filename({ ...entry, mode: `extract-${key}` }, 'csv'), StructuredData.toCsv(lastResult.data, [table]), 'text/csv');
+  }
+
+  /** Briefly show a status message in the footer. */
+  function flashFooter(message) {
+    const powered = shadowRoot.getElementById('pb-powered');
+    const original = powered.dataset.text || powered.textContent;
+    powered.dataset.text = original;
+    powered.textContent = message;
+    clearTimeout(flashFooter.timer);
+    flashFooter.timer = setTimeout(() => {
+      powered.textContent = original;
+      delete powered.dataset.text;
+    }, 2000);
+  }
+
+  /* ────────────────────────────────────────────
+     Keyboard Shortcuts
+  ──────────────────────────────────────────── */
+  /** Mode and search shortcuts, active while focus is inside the drawer. */
+  function handleDrawerKeydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    // Let the search input receive typed characters
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+
+    // 1-9 pick the modes in header order (1-4 are always Brief/Explain/Search/Extract)
+    const keyedMode = /^[1-9]$/.test(e.key) && modeList[Number(e.key) - 1];
+    if (keyedMode) {
+      e.preventDefault();
+      switchMode(keyedMode.id);
+    } else if (e.key === '/') {
+      e.preventDefault();
+      if (currentMode !== 'search') switchMode('search');
+      shadowRoot.getElementById('pb-search-input').focus();
+    }
+  }
+
+  // Esc closes the drawer while focus is inside it; the page's own dialogs
+  // and inputs keep their Esc
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isDrawerOpen() && e.composedPath().includes(hostEl)) closeDrawer();
+  }, true);
+
+  /**
+   * Scroll the page to a cited passage and flash a highlight around it.
+   * @param {number} n - Passage number, as cited by the model
+   */
+  function showSource(n) {
+    // PDF citations are page numbers — let the viewer jump to the page
+    if (isPdfDocument()) {
+      location.hash = `page=${n}`;
+      return;
+    }
+
+    const passage = currentParagraphs[n - 1];
+    const el = passage && findSourceElement(passage, hostEl);
+    if (!el) return;
+
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.remove('briefrr-flash');
+    void el.offsetWidth; // Restart the animation if the passage is already flashing
+    el.classList.add('briefrr-flash');
+    setTimeout(() => el.classList.remove('briefrr-flash'), 2000);
+  }
+
+  /** Send the search input as the next question in the conversation. */
+  function askQuestion() {
+    const input = shadowRoot.getElementById('pb-search-input');
+    const question = input.value.trim();
+    if (!question) return;
+    input.value = '';
+    runBriefrr('search', { question });
+  }
+
+  /** Show the empty-conversation hint for search mode. */
+  function showSearchIntro() {
+    const content = shadowRoot.getElementById('pb-content');
+    const subject = selectionScope ? 'the selected passage' : 'this page';
+    content.innerHTML = `<div class="pb-info"><p>💡 Ask a question about ${subject} and get answers based only on its content. Follow-up questions remember the conversation.</p></div>`;
+  }
+
+  /**
+   * Render the search conversation. When a question is pending, append it
+   * with an empty answer bubble (#pb-pending-answer) for streaming into.
+   */
+  function renderThread(pendingQuestion = '') {
+    const content = shadowRoot.getElementById('pb-content');
+    const exchanges = searchThread.map(({ question, answer }) => `
+      <div class="pb-msg pb-msg-user">${Markdown.escape(question)}</div>
+      <div class="pb-msg pb-msg-model"><div class="pb-markdown">${Markdown.render(answer)}</div></div>
+    `).join('');
+    const pending = pendingQuestion ? `
+      <div class="pb-msg pb-msg-user">${Markdown.escape(pendingQuestion)}</div>
+      <div class="pb-msg pb-msg-model" id="pb-pending-answer"></div>
+    ` : '';
+    content.innerHTML = `<div class="pb-thread">${exchanges}${pending}</div>`;
+    content.scrollTop = content.scrollHeight;
+  }
+
+  /** Show a loading message in the pending answer bubble, or the whole content area. */
+  function showLoading(text) {
+    const target = shadowRoot.getElementById('pb-pending-answer') || shadowRoot.getElementById('pb-content');
+    target.innerHTML = `<div class="pb-loading"><div class="pb-spinner"></div><span>${text}</span></div>`;
   }
 
   /** Switch between modes with debouncing */
@@ -179,8 +548,9 @@
 
     // For search mode, don't auto-run - wait for user to enter query
     if (newMode === 'search') {
-      const content = shadowRoot.getElementById('pb-content');
-      content.innerHTML = `<div class="pb-info"><p>💡 Ask a question about this page and get answers based only on the page content.</p></div>`;
+      if (isStreaming && abortController) abortController.abort();
+      if (searchThread.length) renderThread();
+      else showSearchIntro();
       return;
     }
 
@@ -197,22 +567,50 @@
   /** Open the drawer with a slide-in animation. */
   function openDrawer() {
     ensureHost();
+    const wasOpen = isDrawerOpen();
     // Force reflow then add class
     requestAnimationFrame(() => {
       hostEl.classList.add('open');
-      shadowRoot.getElementById('briefrr-drawer').classList.add('open');
+      const drawer = shadowRoot.getElementById('briefrr-drawer');
+      drawer.classList.add('open');
+      updatePagePush();
+      if (!wasOpen) refreshUsageWarning();
+      if (!wasOpen) drawer.focus({ preventScroll: true });
     });
   }
 
+  /** @returns {boolean} Whether the drawer is currently shown. */
+  function isDrawerOpen() {
+    return !!hostEl && hostEl.classList.contains('open');
+  }
+
+  /** Close the drawer if open; otherwise reopen it in the last mode (served from cache when possible). */
+  function toggleDrawer() {
+    if (isDrawerOpen()) {
+      closeDrawer();
+    } else if (currentMode === 'search') {
+      openDrawer();
+      switchMode('search');
+    } else {
+      runBriefrr(currentMode);
+    }
+  }
+
   /** Close the drawer and clean up. */
   function closeDrawer() {
     if (abortController) abortController.abort();
     if (debounceTimer) clearTimeout(debounceTimer);
     if (countdownInterval) clearInterval(countdownInterval);
+    searchThread = [];
+    lastSearchQuestion = '';
+    setSelectionScope('');
+    languageOverride = null;
     if (shadowRoot) {
+      shadowRoot.getElementById('pb-language').value = 'default';
       shadowRoot.getElementById('briefrr-drawer').classList.remove('open');
     }
     if (hostEl) hostEl.classList.remove('open');
+    updatePagePush();
   }
 
   /** Update header for current mode. */
@@ -222,35 +620,44 @@
     const title = shadowRoot.getElementById('pb-title-text');
 
     // Update active button styling
-    shadowRoot.querySelectorAll('.briefrr-mode-btn').forEach(btn => btn.classList.remove('active'));
+    shadowRoot.querySelectorAll('.briefrr-mode-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
 
-    if (mode === 'highlights') {
-      logo.textContent = '⚡';
-      title.textContent = 'Briefrr — Brief';
-      shadowRoot.getElementById('pb-mode-brief').classList.add('active');
-    } else if (mode === 'explain') {
-      logo.textContent = '📖';
-      title.textContent = 'Briefrr — Explain';
-      shadowRoot.getElementById('pb-mode-explain').classList.add('active');
-    } else if (mode === 'search') {
-      logo.textContent = '🔍';
-      title.textContent = 'Briefrr — Search';
-      shadowRoot.getElementById('pb-mode-search').classList.add('active');
+    const info = mode === COMPARE_MODE.id ? COMPARE_MODE : modeList.find(m => m.id === mode);
+    if (info) {
+      logo.textContent = info.icon;
+      title.textContent = `Briefrr — ${info.title}`;
     }
   }
 
   /** Display an error message inside the content area. */
   function showError(message, showRetry = false, autoRetryMs = 0) {
+    showErrorState({ message, retry: showRetry, autoRetryMs });
+  }
+
+  /**
+   * Display an error state inside the content area: a title and message, an
+   * optional action button, and a Retry button or an automatic retry after a countdown.
+   * @param {{ icon?: string, title?: string, message: string, retry?: boolean, autoRetryMs?: number, action?: { label: string, run: () => void } }} state
+   */
+  function showErrorState({ icon = '⚠️', title = '', message, retry = false, autoRetryMs = 0, action = null }) {
     const content = shadowRoot.getElementById('pb-content');
     content.innerHTML = `
       <div class="pb-error">
-        <span class="pb-error-icon">⚠️</span>
-        <p>${message}</p>
+        <span class="pb-error-icon">${icon}</span>
+        ${title ? `<p class="pb-error-title">${Markdown.escape(title)}</p>` : ''}
+        <p>${Markdown.escape(message)}</p>
         ${autoRetryMs > 0 ? `<p class="pb-countdown" id="pb-countdown">Retrying in <strong>${Math.ceil(autoRetryMs / 1000)}</strong> seconds...</p>` : ''}
-        ${showRetry && autoRetryMs === 0 ? '<button class="pb-retry-btn" id="pb-retry">🔄 Retry</button>' : ''}
+        <div class="pb-error-actions">
+          ${action ? `<button class="pb-error-action-btn" id="pb-error-action">${Markdown.escape(action.label)}</button>` : ''}
+          ${retry && autoRetryMs === 0 ? '<button class="pb-retry-btn" id="pb-retry">🔄 Retry</button>' : ''}
+        </div>
       </div>
     `;
 
+    if (action) shadowRoot.getElementById('pb-error-action').addEventListener('click', action.run);
+
     // Set up countdown timer if auto-retry is enabled
     if (autoRetryMs > 0) {
       const endTime = Date.now() + autoRetryMs;
@@ -268,15 +675,44 @@
           }
         }
       }, 100);
-    } else if (showRetry) {
+    } else if (retry) {
       shadowRoot.getElementById('pb-retry').addEventListener('click', () => runBriefrr(currentMode));
     }
   }
 
+  /** Render a cached result with a "Regenerate" action that bypasses the cache. */
+  function showCachedResult(modeDef, title, cached) {
+    const mode = modeDef.id;
+    const modeName = modeDef.builtin ? undefined : modeDef.name;
+    // Extract caches its data as JSON
+    const data = mode === 'extract' ? StructuredData.parse(cached.text) : null;
+    const markdown = data ? StructuredData.toMarkdown(data) : cached.text;
+    lastResult = { mode, modeName, title, markdown, data, selection: '', createdAt: cached.createdAt };
+    const content = shadowRoot.getElementById('pb-content');
+    const cachedAt = new Date(cached.createdAt).toLocaleString();
+    content.innerHTML = `
+      <div class="pb-cache-bar" title="Generated ${cachedAt}">
+        <span>Cached</span> ·
+        <button class="pb-regenerate-btn" id="pb-regenerate">Regenerate</button>
+      </div>
+      ${data ? renderExtraction(data) : `<div class="pb-markdown">${Markdown.render(cached.text)}</div>`}
+    `;
+    shadowRoot.getElementById('pb-regenerate').addEventListener('click', () => {
+      runBriefrr(mode, { regenerate: true });
+    });
+  }
+
   /* ────────────────────────────────────────────
      Main Execution Flow
   ──────────────────────────────────────────── */
-  async function runBriefrr(mode) {
+  async function runBriefrr(mode, { regenerate = false, question = '' } = {}) {
+    // Retrying or reopening a comparison re-runs it with the same tabs
+    if (mode === COMPARE_MODE.id) {
+      if (compareSources) runCompare();
+      else switchMode('highlights');
+      return;
+    }
+
     // Clear any existing countdown
     if (countdownInterval) clearInterval(countdownInterval);
 
@@ -288,156 +724,936 @@
     updateHeader(mode);
 
     const content = shadowRoot.getElementById('pb-content');
-    content.innerHTML = `<div class="pb-loading"><div class="pb-spinner"></div><span>Checking rate limits...</span></div>`;
 
-    // 1. Check rate limiting
-    try {
-      console.log('[Briefrr] Checking rate limits...', typeof RateLimiter);
-      const rateLimitCheck = await RateLimiter.canMakeRequest();
-      console.log('[Briefrr] Rate limit check result:', rateLimitCheck);
-
-      if (!rateLimitCheck.allowed) {
-        const timeRemaining = RateLimiter.formatTimeRemaining(rateLimitCheck.remainingMs);
-        const message = rateLimitCheck.reason === 'backoff'
-          ? `Rate limit cooldown active. Too many requests were made.`
-          : `Please wait before making another request.`;
-        showError(message, false, rateLimitCheck.remainingMs);
+    // Look the mode up fresh, so prompt edits made in Settings apply immediately
+    const modeDef = await Modes.get(mode);
+    if (abortController.signal.aborted) return;
+    if (!modeDef) {
+      showError('This mode no longer exists. It may have been deleted in Settings.');
+      isStreaming = false;
+      return;
+    }
+
+    // Search questions are asked inside the conversation thread;
+    // retries (no question given) re-ask the last one
+    if (mode === 'search') {
+      question = question || lastSearchQuestion;
+      if (!question) {
+        showError('Please enter a search query.');
         isStreaming = false;
         return;
       }
-    } catch (error) {
-      console.error('[Briefrr] Rate limit check failed:', error);
-      showError(`Rate limit check failed: ${error.message}. Proceeding anyway...`, false);
-      // Continue anyway if rate limiter fails
+      lastSearchQuestion = question;
+      renderThread(question);
     }
 
-    content.innerHTML = `<div class="pb-loading"><div class="pb-spinner"></div><span>Extracting page content...</span></div>`;
-
-    // 2. Check for API key
-    const apiKey = await Storage.getApiKey();
-    if (!apiKey) {
-      showError('Please set up your Gemini API key first. Click the Briefrr extension icon → Settings.');
-      isStreaming = false;
-      return;
-    }
+    showLoading('Extracting page content...');
 
-    // 2. Extract content
+    // 1. Extract content (or use the selected passage)
     let article;
     try {
-      article = extractContent();
+      article = selectionScope ? buildSelectionArticle(selectionScope) : await extractPageArticle((text) => {
+        if (!abortController.signal.aborted) showLoading(text);
+      });
     } catch (err) {
-      showError('Couldn\'t extract content from this page. The page might be too dynamic or empty.');
+      if (abortController.signal.aborted) return;
+      showError(err.message, true);
       isStreaming = false;
       return;
     }
+    if (abortController.signal.aborted) return;
 
-    if (!article.content || article.content.trim().length < 50) {
-      showError('Couldn\'t extract meaningful content from this page. The page might be too dynamic or empty.');
+    if (!article.content.trim()) {
+      showError('The selected text is empty. Select a passage and try again.');
       isStreaming = false;
       return;
     }
+    currentParagraphs = article.paragraphs;
+    if (mode !== 'search') lastResult = null;
+
+    // 2. Serve a cached result if this page was already briefed in this mode
+    //    (search answers depend on the query and selections on what was
+    //    selected, so neither is cached).
+    const language = await getResponseLanguage();
+    const cacheable = mode !== 'search' && !article.isSelection;
+    const cacheMode = getCacheMode(modeDef, language);
+    if (cacheable && !regenerate) {
+      // An auto-brief still running in this mode is about to fill the cache
+      if (autoBrief?.pending && autoBrief.mode === mode) {
+        showLoading(modeDef.loadingText);
+        await autoBrief.pending;
+      }
+      const cached = await SummaryCache.get(cacheMode, location.href, article.fullContent);
+      if (abortController.signal.aborted) return;
+      if (cached) {
+        showCachedResult(modeDef, article.title, cached);
+        saveAutoBrief(mode);
+        isStreaming = false;
+        return;
+      }
+    }
+
+    // The background resolves the provider's settings and key for each request
+    const provider = getProvider((await getProviderConfig()).provider);
+    shadowRoot.getElementById('pb-powered').textContent = `Powered by ${provider.name}`;
+
+    // Extract answers with JSON, shown as tables once complete rather than streamed
+    if (mode === 'extract') {
+      await runExtract(modeDef, article, language, { cacheable, cacheMode });
+      return;
+    }
 
     // 3. Build prompt
     let systemPrompt, userPrompt;
 
     if (mode === 'search') {
       systemPrompt = SEARCH_SYSTEM_PROMPT;
-      const searchQuery = shadowRoot.getElementById('pb-search-input')?.value || '';
-      if (!searchQuery.trim()) {
-        showError('Please enter a search query.');
-        isStreaming = false;
-        return;
-      }
-      userPrompt = buildUserPrompt(article, mode, searchQuery);
+      userPrompt = buildSearchConversation(article, searchThread, question);
     } else {
-      systemPrompt = mode === 'highlights' ? HIGHLIGHTS_SYSTEM_PROMPT : EXPLAIN_SYSTEM_PROMPT;
-      userPrompt = buildUserPrompt(article, mode);
+      systemPrompt = getSystemPrompt(modeDef);
+      userPrompt = buildModePrompt(modeDef, article);
     }
+    systemPrompt = withResponseLanguage(systemPrompt, language, article.language);
 
-    // 4. Stream the response via background service worker (has host_permissions)
-    const loadingText = mode === 'search' ? 'Searching page content...' :
-      mode === 'highlights' ? 'Generating brief...' : 'Generating explanation...';
-    content.innerHTML = `<div class="pb-loading"><div class="pb-spinner"></div><span>${loadingText}</span></div>`;
+    // 4. Stream the response via background service worker (has host_permissions);
+    //    quota-limited providers may queue it there first
+    if (mode === 'search' && !shadowRoot.getElementById('pb-pending-answer')) renderThread(question);
+    showLoading(modeDef.loadingText);
 
-    let accumulated = '';
+    // Search answers stream into their bubble in the thread
+    const output = mode === 'search' ? shadowRoot.getElementById('pb-pending-answer') : content;
+    const { signal } = abortController;
+    let banner = '';
+    let loadingText = modeDef.loadingText;
+    let renderer = null;
 
     try {
-      await new Promise((resolve, reject) => {
-        const port = chrome.runtime.connect({ name: 'briefrr-stream' });
+      // Pages longer than one request allows are summarized section by section,
+      // then the section notes are merged with the mode's own prompt
+      if (mode !== 'search' && article.length > MAX_CONTENT_LENGTH) {
+        const sections = splitIntoSections(article.fullContent);
+        const sectionNotes = await summarizeSections(article, sections, mode, language, signal);
+        if (signal.aborted) return;
+
+        loadingText = `Combining ${sections.length} sections...`;
+        showLoading(loadingText);
+
+        userPrompt = buildMergePrompt(article, sectionNotes, modeDef);
+        banner = `<div class="pb-cache-bar">📚 Long page — summarized in ${sections.length} sections</div>`;
+      }
 
-        // If the user closes the drawer, disconnect the port
-        abortController.signal.addEventListener('abort', () => {
-          port.disconnect();
-          resolve();
-        });
-
-        port.onMessage.addListener((msg) => {
-          if (abortController.signal.aborted) return;
-
-          if (msg.type === 'chunk') {
-            accumulated += msg.text;
-            content.innerHTML = `
-              <div class="pb-markdown">${markdownToHtml(accumulated)}</div>
-              <div class="pb-cursor"></div>
-            `;
-            content.scrollTop = content.scrollHeight;
-          } else if (msg.type === 'done') {
-            // Remove cursor once done
-            const cursor = shadowRoot.querySelector('.pb-cursor');
-            if (cursor) cursor.remove();
-            port.disconnect();
-            resolve();
-          } else if (msg.type === 'error') {
-            port.disconnect();
-            reject(new Error(msg.error));
-          }
-        });
-
-        port.onDisconnect.addListener(() => {
-          // Port closed unexpectedly (e.g. service worker restart)
-          if (!abortController.signal.aborted && !accumulated) {
-            reject(new Error('Connection to extension lost. Please try again.'));
-          } else {
-            resolve();
-          }
-        });
+      renderer = createStreamRenderer(output, content, banner, signal);
+      const request = { prompt: userPrompt, systemPrompt, mode };
+      const { text: accumulated, done, truncated } = await streamFromBackground(
+        request, (text) => renderer.update(text), signal, loadingText);
+      if (signal.aborted) return;
+      renderer.finish();
+
+      // Remove cursor once done
+      const cursor = shadowRoot.querySelector('.pb-cursor');
+      if (cursor) cursor.remove();
+
+      // Saved once done, and again each time "Continue" extends a truncated response
+      const selection = selectionScope;
+      const saveToLibrary = librarySaver();
+      let turn = null;
+      const saveResponse = (text, complete) => {
+        if (mode === 'search') {
+          if (turn) turn.answer = text;
+          else searchThread.push(turn = { question, answer: text });
+          saveToLibrary({ title: article.title, url: location.href, mode, markdown: quoteSelection(`## ${question}\n\n${text}`, selection) });
+        } else if (text) {
+          const modeName = modeDef.builtin ? undefined : modeDef.name;
+          lastResult = { mode, modeName, title: article.title, markdown: text, selection, createdAt: Date.now() };
+          // Cut-off responses aren't cached, so reopening the page can still finish them
+          if (cacheable && complete) SummaryCache.set(cacheMode, location.href, article.fullContent, text);
+          saveToLibrary({ title: article.title, url: location.href, mode, modeName, markdown: quoteSelection(text, selection) });
+        }
+      };
 
-        // Send the request to background
-        port.postMessage({ apiKey, prompt: userPrompt, systemPrompt });
-      });
+      if (done) {
+        saveResponse(accumulated, !truncated);
+        if (mode === 'search') output.removeAttribute('id');
+        if (truncated) offerContinue(output, request, accumulated, renderer, saveResponse);
+      }
     } catch (err) {
-      if (abortController.signal.aborted) return;
+      if (signal.aborted) return;
+      if (renderer) renderer.cancel();
+      showStreamError(err);
+    }
 
-      if (err.message === 'INVALID_KEY') {
-        showError('Your API key seems invalid. Please check it in Settings.', true);
-      } else if (err.message.startsWith('RATE_LIMITED:')) {
-        // Parse the new error format: RATE_LIMITED:<ms>:<message>
-        const parts = err.message.split(':');
-        if (parts.length >= 3) {
-          const cooldownMs = parseInt(parts[1], 10);
-          const message = parts.slice(2).join(':');
-          showError(message, false, cooldownMs);
-        } else {
-          showError('You\'ve hit the rate limit. Please wait a moment and try again.', true);
+    isStreaming = false;
+  }
+
+  /**
+   * Map step for long pages: condense every section into notes, then, while
+   * there are more notes than one merge request takes (MAX_SECTIONS), condense
+   * the notes in batches, so no part of the page is left out.
+   * @param {Object} article - See extractPageArticle()
+   * @param {string[]} sections - From splitIntoSections()
+   * @param {string} mode - Labels the requests in the usage log
+   * @param {string} language - Response language code, or ''
+   * @param {AbortSignal} signal
+   * @returns {Promise<string[]|null>} At most MAX_SECTIONS notes in page order, or null when aborted
+   * @throws {Error} A typed error (see errors.js), also when a section's stream ends early
+   */
+  async function summarizeSections(article, sections, mode, language, signal) {
+    const systemPrompt = withResponseLanguage(SECTION_SYSTEM_PROMPT, language, article.language);
+
+    /** Condense each text into notes, one request after another. */
+    const condense = async (texts, labelFor) => {
+      const notes = [];
+      for (let i = 0; i < texts.length; i++) {
+        const label = labelFor(i);
+        showLoading(label);
+        const { text, done } = await streamFromBackground({
+          prompt: buildSectionPrompt(article, texts[i], i, texts.length),
+          systemPrompt,
+          mode
+        }, () => {}, signal, label);
+        if (signal.aborted) return null;
+        // A partial note would silently leave the rest of its section out of the result
+        if (!done) throw createError(ERROR_CODES.UNKNOWN, 'Connection to extension lost. Please try again.');
+        notes.push(text);
+      }
+      return notes;
+    };
+
+    let notes = await condense(sections, i => `Summarizing section ${i + 1} of ${sections.length}...`);
+    while (notes && notes.length > MAX_SECTIONS) {
+      const batches = [];
+      for (let i = 0; i < notes.length; i += MAX_SECTIONS) batches.push(notes.slice(i, i + MAX_SECTIONS).join('\n\n'));
+      notes = await condense(batches, i => `Condensing notes, part ${i + 1} of ${batches.length}...`);
+    }
+    return notes;
+  }
+
+  /**
+   * The summary cache key for a mode's results. Custom modes are cached per
+   * prompt version, so editing a mode's prompts doesn't serve stale results,
+   * and translated results are cached per language.
+   * @param {Object} modeDef - From Modes.get()
+   * @param {string} language - Response language code, or ''
+   * @returns {string}
+   */
+  function getCacheMode(modeDef, language) {
+    const base = modeDef.builtin ? modeDef.id : `${modeDef.id}@${SummaryCache.hash(modeDef.systemPrompt + modeDef.userTemplate)}`;
+    return base + (language ? `:${language}` : '');
+  }
+
+  /**
+   * Extract the current page as an article: the transcript on YouTube videos,
+   * the document text in PDFs, otherwise the readable page content.
+   * @param {(text: string) => void} onProgress - Receives loading messages
+   * @returns {Promise<Object>} See extractContent()
+   * @throws {Error} With a message to show the user
+   */
+  async function extractPageArticle(onProgress = () => {}) {
+    let article;
+    if (isYouTubeVideo()) {
+      onProgress('Fetching video transcript...');
+      try {
+        article = await extractYouTubeTranscript();
+      } catch (err) {
+        throw new Error(`Couldn't get this video's transcript. ${err.message}`);
+      }
+    } else if (isPdfDocument()) {
+      try {
+        article = await extractPdfContent((page, total) => onProgress(`Reading PDF page ${page} of ${total}...`));
+      } catch (err) {
+        console.warn('[Briefrr] PDF extraction failed:', err);
+        throw new Error(`Couldn't read this PDF. ${err.message} For local files, allow Briefrr to access file URLs in chrome://extensions.`);
+      }
+      if (!article.content) throw new Error('This PDF has no text to read — it may be a scanned document without a text layer.');
+    } else {
+      try {
+        article = extractContent();
+      } catch (err) {
+        throw new Error('Couldn\'t extract content from this page. The page might be too dynamic or empty.');
+      }
+    }
+
+    if (!article.content || article.content.trim().length < 50) {
+      throw new Error('Couldn\'t extract meaningful content from this page. The page might be too dynamic or empty.');
+    }
+    return article;
+  }
+
+  /**
+   * Warn above the footer when today's Gemini requests approach the daily
+   * quota (see Usage), so a run of briefs doesn't end in a day-long lockout.
+   */
+  async function refreshUsageWarning() {
+    const warning = shadowRoot.getElementById('pb-usage-warning');
+    const settings = await Storage.getProviderSettings();
+    const today = await Usage.getToday();
+    if (!getProvider(settings.provider).rateLimited || !today.nearLimit) {
+      warning.style.display = 'none';
+      return;
+    }
+
+    warning.textContent = today.remaining > 0
+      ? `⚠️ ${today.requests} of ${today.limit} daily Gemini requests used — ${today.remaining} left until midnight Pacific time.`
+      : `⚠️ Today's ${today.limit} Gemini requests are used up. The quota resets at midnight Pacific time.`;
+    warning.style.display = 'block';
+  }
+
+  /** Show a failed stream's typed error (see errors.js) as the matching error state. */
+  function showStreamError(err) {
+    const state = describeStreamError(err);
+    showErrorState(state);
+
+    // Offline: retry by itself once the connection is back, if the error is still showing
+    if (err.code === ERROR_CODES.NETWORK_ERROR && !navigator.onLine) {
+      const errorEl = shadowRoot.querySelector('.pb-error');
+      window.addEventListener('online', () => {
+        if (errorEl.isConnected && isDrawerOpen()) runBriefrr(currentMode);
+      }, { once: true });
+    }
+  }
+
+  /**
+   * The error state to show for a typed stream error.
+   * @param {Error & { code: string, retryAfterMs?: number, model?: string, reason?: string }} err
+   * @returns {{ icon: string, title: string, message: string, retry?: boolean, autoRetryMs?: number, action?: { label: string, run: () => void } }}
+   */
+  function describeStreamError(err) {
+    const openSettings = openSettingsAction();
+
+    switch (err.code) {
+      case ERROR_CODES.MISSING_KEY:
+        return { icon: '🔑', title: 'No API key yet', message: 'Add your API key in Settings to start using Briefrr.', action: openSettings };
+      case ERROR_CODES.KEY_LOCKED:
+        return { icon: '🔒', title: 'API key locked', message: 'Your API key is locked with a passphrase. Click the Briefrr extension icon to unlock it, then try again.', retry: true };
+      case ERROR_CODES.INVALID_KEY:
+        return { icon: '🔑', title: 'API key rejected', message: 'The provider didn\'t accept your API key — it may have been revoked, restricted or mistyped. Check it in Settings.', retry: true, action: openSettings };
+      case ERROR_CODES.RATE_LIMITED:
+      case ERROR_CODES.OVERLOADED:
+        if (err.retryAfterMs > 0) return { icon: '⏳', title: err.code === ERROR_CODES.RATE_LIMITED ? 'Rate limit reached' : 'Model busy', message: err.message, autoRetryMs: err.retryAfterMs };
+        return { icon: '⏳', title: 'Rate limit reached', message: 'You\'ve hit the rate limit. Please wait a moment and try again.', retry: true };
+      case ERROR_CODES.QUOTA_EXHAUSTED:
+        // Gemini's daily quotas reset at midnight Pacific time; other providers say what to do in their message
+        return /^gemini/.test(err.model || '')
+          ? { icon: '📉', title: 'Daily quota used up', message: `${err.message} It resets in about ${Usage.formatWait(Usage.msUntilQuotaReset())} — or pick another model in Settings.`, action: openSettings }
+          : { icon: '📉', title: 'Quota used up', message: err.message, action: openSettings };
+      case ERROR_CODES.NETWORK_ERROR:
+        if (!navigator.onLine) return { icon: '📡', title: 'You\'re offline', message: 'Briefrr will try again when your connection is back.', retry: true };
+        return { icon: '📡', title: 'Couldn\'t connect', message: 'Couldn\'t reach the AI provider. Please check your internet connection or provider settings.', retry: true };
+      case ERROR_CODES.BLOCKED:
+        if (err.reason === 'RECITATION') {
+          return { icon: '🚫', title: 'Response stopped', message: 'The model stopped because its answer was too close to copyrighted text it was trained on. Try another mode or a smaller selection.' };
+        }
+        return { icon: '🚫', title: 'Blocked by safety filters', message: 'The provider\'s safety filters blocked this response. Briefrr can\'t summarize this content with the current model.' };
+      default:
+        return { icon: '⚠️', title: 'Something went wrong', message: `The response was interrupted. ${err.message}`, retry: true };
+    }
+  }
+
+  /** Error-state action that opens the Settings page. */
+  function openSettingsAction() {
+    return { label: '⚙️ Open Settings', run: () => chrome.runtime.sendMessage({ action: 'briefrr-open-options' }) };
+  }
+
+  /* ────────────────────────────────────────────
+     Extract Mode
+  ──────────────────────────────────────────── */
+
+  /**
+   * Run Extract mode: ask for JSON following StructuredData.schema() (section
+   * by section on long pages, merging the results) and show it as tables.
+   * @param {Object} modeDef - The Extract mode, from Modes.get()
+   * @param {Object} article - See extractPageArticle()
+   * @param {string} language - Response language code, or ''
+   * @param {{ cacheable: boolean, cacheMode: string }} cache - Whether and under which key to cache the result
+   */
+  async function runExtract(modeDef, article, language, { cacheable, cacheMode }) {
+    const { signal } = abortController;
+    const systemPrompt = withResponseLanguage(getSystemPrompt(modeDef), language, article.language);
+    const schema = StructuredData.schema();
+    const long = article.length > MAX_CONTENT_LENGTH;
+    const sections = long ? splitIntoSections(article.fullContent) : [article.content];
+    const parts = [];
+
+    try {
+      for (let i = 0; i < sections.length; i++) {
+        const label = long ? `Extracting from section ${i + 1} of ${sections.length}...` : modeDef.loadingText;
+        showLoading(label);
+
+        // The page's links are listed once, with the first section
+        const { text, done, truncated } = await streamFromBackground({
+          prompt: buildExtractPrompt(article, sections[i], i === 0),
+          systemPrompt,
+          mode: 'extract',
+          schema
+        }, () => {}, signal, label);
+        if (signal.aborted) return;
+        if (!done) throw createError(ERROR_CODES.UNKNOWN, 'Connection to extension lost. Please try again.');
+
+        try {
+          parts.push(StructuredData.parse(text));
+        } catch {
+          // Cut-off JSON can't be parsed, so there is nothing to continue from
+          showErrorState(truncated
+            ? { icon: '✂️', title: 'Extraction cut off', message: 'The data didn\'t fit in the max output tokens. Raise "Max output tokens" in Settings or select a smaller passage, then try again.', retry: true, action: openSettingsAction() }
+            : { icon: '⚠️', title: 'Unreadable answer', message: 'The model didn\'t answer with valid data. Try again, or give Extract another model in Settings.', retry: true });
+          isStreaming = false;
+          return;
         }
-      } else if (err.message === 'RATE_LIMITED') {
-        showError('You\'ve hit the rate limit. Please wait a moment and try again.', true);
-      } else if (err.message.includes('Failed to fetch') || err.message.includes('NetworkError')) {
-        showError('Couldn\'t connect to Gemini. Please check your internet connection.', true);
-      } else {
-        showError(`The response was interrupted. ${err.message}`, true);
       }
+    } catch (err) {
+      if (signal.aborted) return;
+      showStreamError(err);
+      isStreaming = false;
+      return;
     }
 
+    const data = StructuredData.merge(parts);
+    const markdown = StructuredData.toMarkdown(data);
+    lastResult = { mode: 'extract', title: article.title, markdown, data, selection: selectionScope, createdAt: Date.now() };
+    if (cacheable) SummaryCache.set(cacheMode, location.href, article.fullContent, JSON.stringify(data));
+    const saveToLibrary = librarySaver();
+    saveToLibrary({ title: article.title, url: location.href, mode: 'extract', markdown: quoteSelection(markdown, selectionScope) });
+
+    const banner = long ? `<div class="pb-cache-bar">📚 Long page — extracted from ${sections.length} sections</div>` : '';
+    shadowRoot.getElementById('pb-content').innerHTML = banner + renderExtraction(data);
     isStreaming = false;
   }
 
+  /**
+   * HTML for extracted data: one sortable table per non-empty table, each
+   * with its item count and a CSV download.
+   * @param {Object} data - From StructuredData.parse()
+   * @returns {string}
+   */
+  function renderExtraction(data) {
+    const sections = EXTRACT_TABLES.filter(table => data[table.key]?.length).map((table) => {
+      const headers = [...table.columns.map(column => column.label), 'Source']
+        .map((label, i) => `<th data-col="${i}" title="Sort by ${Markdown.escape(label)}">${Markdown.escape(label)}</th>`).join('');
+      const rows = data[table.key].map(row => `<tr>${table.columns.map(column => {
+        const value = row[column.key];
+        return `<td>${column.key === 'url' ? `<a href="${Markdown.escape(value)}" target="_blank" rel="noopener noreferrer">${Markdown.escape(value)}</a>` : Markdown.escape(value)}</td>`;
+      }).join('')}<td>${row.source ? Markdown.inline(`[${row.source}]`) : ''}</td></tr>`).join('');
+
+      return `
+        <section class="pb-extract-section">
+          <div class="pb-extract-head">
+            <span class="pb-extract-title">${table.icon} ${table.title} <span class="pb-extract-count">${data[table.key].length}</span></span>
+            <button class="pb-extract-csv" data-table="${table.key}" title="Download this table as CSV">CSV</button>
+          </div>
+          <div class="pb-table-wrap">
+            <table class="pb-table pb-extract-table"><thead><tr>${headers}</tr></thead><tbody>${rows}</tbody></table>
+          </div>
+        </section>
+      `;
+    });
+
+    if (!sections.length) {
+      return '<div class="pb-info"><p>🗂️ Nothing to extract here — no people, organizations, dates, figures, links or action items were found.</p></div>';
+    }
+    return `<div class="pb-markdown pb-extract">${sections.join('')}</div>`;
+  }
+
+  /**
+   * Sort an Extract table by the clicked column; clicking again reverses the order.
+   * @param {HTMLTableCellElement} header
+   */
+  function sortExtractTable(header) {
+    const table = header.closest('table');
+    const col = Number(header.dataset.col);
+    const ascending = header.dataset.sort !== 'asc';
+    table.querySelectorAll('th').forEach(th => delete th.dataset.sort);
+    header.dataset.sort = ascending ? 'asc' : 'desc';
+
+    // Numeric-aware, so "9" sorts before "10" and passage numbers stay in page order
+    const body = table.tBodies[0];
+    const rows = [...body.rows].sort((a, b) => {
+      const order = a.cells[col].textContent.localeCompare(b.cells[col].textContent, undefined, { numeric: true, sensitivity: 'base' });
+      return ascending ? order : -order;
+    });
+    body.append(...rows);
+  }
+
+  /* ────────────────────────────────────────────
+     Multi-Tab Compare
+  ──────────────────────────────────────────── */
+
+  /**
+   * Compare the tabs in compareSources (extracted by the background from each
+   * tab) in one request: a side-by-side table plus a synthesis, with every
+   * point tagged by its source.
+   */
+  async function runCompare() {
+    if (countdownInterval) clearInterval(countdownInterval);
+    if (isStreaming && abortController) abortController.abort();
+    abortController = new AbortController();
+    const { signal } = abortController;
+    isStreaming = true;
+
+    openDrawer();
+    setSelectionScope('');
+    shadowRoot.getElementById('pb-search-bar').style.display = 'none';
+    updateHeader(COMPARE_MODE.id);
+    lastResult = null;
+
+    const { sources, skipped } = compareSources;
+    const skippedNote = skipped.length
+      ? ` Skipped: ${skipped.map(tab => `"${tab.title}" (${tab.error})`).join(', ')}.`
+      : '';
+    if (sources.length < 2) {
+      showError(`At least two readable tabs are needed for a comparison.${skippedNote}`);
+      isStreaming = false;
+      return;
+    }
+
+    const provider = getProvider((await getProviderConfig()).provider);
+    shadowRoot.getElementById('pb-powered').textContent = `Powered by ${provider.name}`;
+    if (signal.aborted) return;
+
+    // Tabs share one content budget; longer ones are shortened to their share
+    const { prompt, truncated } = buildComparePrompt(sources, MAX_COMPARE_LENGTH);
+    const systemPrompt = withResponseLanguage(COMPARE_SYSTEM_PROMPT, await getResponseLanguage());
+    // Titles and URLs come from other pages, so they're escaped (quotes too) and only safe links are kept
+    const sourceList = sources.map((source, i) => {
+      const title = Markdown.escape(source.title);
+      const link = Markdown.SAFE_URL.test(source.url)
+        ? `<a href="${Markdown.escape(source.url)}" target="_blank" rel="noopener noreferrer">${title}</a>`
+        : title;
+      return `<li><strong>S${i + 1}</strong> ${link}</li>`;
+    }).join('');
+    const notes = [
+      truncated.length && `${truncated.length} shortened to fit`,
+      skipped.length && `${skipped.length} skipped`
+    ].filter(Boolean).join(' · ');
+    const banner = `
+      <div class="pb-cache-bar" title="${Markdown.escape(skippedNote.trim())}">⚖️ Comparing ${sources.length} tabs${notes ? ` · ${notes}` : ''}</div>
+      <ol class="pb-sources">${sourceList}</ol>
+    `;
+
+    showLoading(COMPARE_MODE.loadingText);
+    const content = shadowRoot.getElementById('pb-content');
+    let renderer = null;
+
+    try {
+      renderer = createStreamRenderer(content, content, banner, signal);
+      const request = { prompt, systemPrompt, mode: COMPARE_MODE.id };
+      const { text, done, truncated: cutOff } = await streamFromBackground(
+        request, (partial) => renderer.update(partial), signal, COMPARE_MODE.loadingText);
+      if (signal.aborted) return;
+      renderer.finish();
+
+      const cursor = shadowRoot.querySelector('.pb-cursor');
+      if (cursor) cursor.remove();
+
+      const title = `Comparison: ${sources.map(source => source.title).join(' vs ')}`.slice(0, 150);
+      const saveToLibrary = librarySaver();
+      const saveResponse = (response) => {
+        if (!response) return;
+        const markdown = `${response.trim()}\n\n**Sources**\n${sources.map((source, i) => `- [S${i + 1}] [${source.title}](${source.url})`).join('\n')}`;
+        lastResult = { mode: COMPARE_MODE.id, title, markdown, selection: '', createdAt: Date.now() };
+        saveToLibrary({ title, url: location.href, mode: COMPARE_MODE.id, markdown });
+      };
+
+      if (done) {
+        saveResponse(text);
+        if (cutOff) offerContinue(content, request, text, renderer, saveResponse);
+      }
+    } catch (err) {
+      if (signal.aborted) return;
+      if (renderer) renderer.cancel();
+      showStreamError(err);
+    }
+
+    isStreaming = false;
+  }
+
+  /* ────────────────────────────────────────────
+     Streaming Renderer
+  ──────────────────────────────────────────── */
+
+  /**
+   * Render a growing Markdown response into `output` without rebuilding it on
+   * every chunk. Finished blocks are rendered once and never touched again (so
+   * text selected in them stays selected); only the last two blocks, which
+   * may still change as text arrives, are re-rendered. Updates are batched
+   * to one per animation frame, and the scroller only follows the output
+   * while the user is at the bottom.
+   * @param {HTMLElement} output - Element the response is rendered into
+   * @param {HTMLElement} scroller - Scrolling container (the drawer content)
+   * @param {string} bannerHtml - Optional HTML shown above the response
+   * @param {AbortSignal} signal - Pending updates are dropped once aborted
+   * @returns {{ update: (text: string) => void, finish: () => void, cancel: () => void }}
+   */
+  function createStreamRenderer(output, scroller, bannerHtml, signal) {
+    let markdownEl = null;
+    let tailEl = null;
+    let latestText = '';
+    let stableOffset = 0;   // Characters already rendered as finished blocks
+    let tailHtml = '';
+    let frame = 0;
+
+    function flush() {
+      frame = 0;
+      if (signal.aborted) return;
+
+      if (!markdownEl) {
+        output.innerHTML = `${bannerHtml}<div class="pb-markdown"><div class="pb-stream-tail"></div></div><div class="pb-cursor"></div>`;
+        markdownEl = output.querySelector('.pb-markdown');
+        tailEl = output.querySelector('.pb-stream-tail');
+      }
+
+      const atBottom = scroller.scrollHeight - scroller.scrollTop - scroller.clientHeight < 40;
+
+      // Blocks before the last two can't change any more: render them once, in place
+      const lines = Markdown.toLines(latestText.slice(stableOffset));
+      const ranges = Markdown.blockRanges(lines);
+      const settled = ranges.length - 2;
+      if (settled > 0) {
+        const html = ranges.slice(0, settled)
+          .map(({ start, end }) => Markdown.renderBlock(lines.slice(start, end)))
+          .join('\n');
+        tailEl.insertAdjacentHTML('beforebegin', html);
+        stableOffset += lines.slice(0, ranges[settled].start).reduce((sum, line) => sum + line.length + 1, 0);
+      }
+
+      const html = ranges.slice(Math.max(settled, 0))
+        .map(({ start, end }) => Markdown.renderBlock(lines.slice(start, end)))
+        .join('\n');
+      if (html !== tailHtml) {
+        tailEl.innerHTML = html;
+        tailHtml = html;
+      }
+
+      if (atBottom) scroller.scrollTop = scroller.scrollHeight;
+    }
+
+    return {
+      update(text) {
+        latestText = text;
+        if (!frame) frame = requestAnimationFrame(flush);
+      },
+      /** Render any pending text right away (call when the stream ends). */
+      finish() {
+        if (frame) cancelAnimationFrame(frame);
+        if (latestText) flush();
+      },
+      /** Drop any pending update (e.g. before showing an error in its place). */
+      cancel() {
+        if (frame) cancelAnimationFrame(frame);
+        frame = 0;
+      }
+    };
+  }
+
+  /**
+   * Add a "Continue" bar under a response that stopped at the max output
+   * tokens. Continuing asks the model to pick up where it stopped and streams
+   * the rest onto the same response; it can be offered again if that is cut off too.
+   * @param {HTMLElement} output - Element the response was rendered into
+   * @param {{ prompt: string|Array, systemPrompt: string, mode: string }} request - The request that was cut off
+   * @param {string} text - The response so far
+   * @param {ReturnType<typeof createStreamRenderer>} renderer - The renderer showing the response
+   * @param {(text: string, complete: boolean) => void} onSave - Called with the longer response once a continuation finishes
+   * @param {string} note - Shown instead of the default message (e.g. after a failed attempt)
+   */
+  function offerContinue(output, request, text, renderer, onSave, note = 'The response reached the length limit.') {
+    const bar = document.createElement('div');
+    bar.className = 'pb-truncated';
+    bar.innerHTML = `<span class="pb-truncated-text">✂️ ${Markdown.escape(note)}</span><button class="pb-continue-btn">Continue</button>`;
+    output.appendChild(bar);
+    const label = bar.querySelector('.pb-truncated-text');
+    const button = bar.querySelector('.pb-continue-btn');
+
+    button.addEventListener('click', async () => {
+      if (countdownInterval) clearInterval(countdownInterval);
+      if (isStreaming && abortController) abortController.abort();
+      abortController = new AbortController();
+      const { signal } = abortController;
+      isStreaming = true;
+
+      button.remove();
+      label.textContent = 'Continuing...';
+      let received = '';
+
+      try {
+        const { text: more, done, truncated } = await streamFromBackground(
+          { ...request, prompt: buildContinuePrompt(request.prompt, text) },
+          (partial) => {
+            received = partial;
+            bar.remove();
+            renderer.update(text + partial);
+          },
+          signal, 'Continuing...', (status) => { label.textContent = status; });
+        if (signal.aborted) return;
+        renderer.finish();
+        bar.remove();
+
+        if (!done) {
+          // The connection dropped mid-answer
+          offerContinue(output, request, text + more, renderer, onSave, 'The connection was lost.');
+        } else {
+          onSave(text + more, !truncated);
+          if (truncated) offerContinue(output, request, text + more, renderer, onSave);
+        }
+      } catch (err) {
+        if (signal.aborted) return;
+        renderer.finish();
+        bar.remove();
+        // Keep what was written so far and let the user try again from there
+        offerContinue(output, request, text + received, renderer, onSave, `Couldn't continue: ${describeStreamError(err).title}.`);
+      }
+
+      isStreaming = false;
+    });
+  }
+
+  /**
+   * A function that saves a response to the Library the first time it's
+   * called and updates that same entry afterwards (when "Continue" extends it).
+   * Failures are logged, never thrown.
+   * @returns {(entry: { title: string, url: string, mode: string, modeName?: string, markdown: string }) => Promise<Object|null>}
+   *   Resolves with the stored entry, or null when it couldn't be saved
+   */
+  function librarySaver() {
+    let saved = null;
+    return (entry) => {
+      // Library.add logs its own failures and resolves with null
+      saved = saved
+        ? saved.then(stored => stored && Library.update(stored.id, { markdown: entry.markdown })
+          .catch(error => console.warn('[Briefrr] Could not update the Library entry:', error))
+          .then(() => stored))
+        : Library.add(entry);
+      return saved;
+    };
+  }
+
+  /**
+   * Stream one request through the background service worker.
+   * Calls onChunk with the accumulated text after every chunk. While the
+   * request waits in the background's rate-limit queue, the loading message
+   * shows its place in line and the estimated wait; if a busy model hands it
+   * to a fallback model, it says so, and the footer names the model that answers.
+   * @param {{ prompt: string|Array, systemPrompt: string, mode: string }} request - mode labels the request in the usage log
+   * @param {(text: string) => void} onChunk
+   * @param {AbortSignal} signal - Aborting disconnects the port (e.g. drawer closed)
+   * @param {string} loadingText - Loading message to restore once the request leaves the queue
+   * @param {(text: string) => void} onStatus - Shows the queue and fallback messages
+   * @returns {Promise<{ text: string, done: boolean, truncated: boolean }>} `done` is
+   *   false when the stream was aborted or the port closed before the response
+   *   finished; `truncated` when it stopped at the max output tokens
+   * @throws {Error} A typed error (see errors.js)
+   */
+  function streamFromBackground(request, onChunk, signal, loadingText = 'Generating...', onStatus = showLoading) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: 'briefrr-stream' });
+      let text = '';
+
+      // If the user closes the drawer, disconnect the port
+      signal.addEventListener('abort', () => {
+        port.disconnect();
+        resolve({ text, done: false, truncated: false });
+      });
+
+      port.onMessage.addListener((msg) => {
+        if (signal.aborted) return;
+
+        if (msg.type === 'chunk') {
+          text += msg.text;
+          onChunk(text);
+        } else if (msg.type === 'queued') {
+          const place = msg.position > 1 ? ` — ${ordinal(msg.position)} in line` : '';
+          onStatus(`Waiting for the rate limit${place}, about ${Usage.formatWait(msg.etaMs)}...`);
+        } else if (msg.type === 'started') {
+          onStatus(loadingText);
+        } else if (msg.type === 'fallback') {
+          onStatus(`The model is busy — trying ${msg.model}...`);
+        } else if (msg.type === 'model') {
+          // Fallbacks mean the answering model may not be the configured one
+          shadowRoot.getElementById('pb-powered').textContent = `Powered by ${msg.provider} · ${msg.model}`;
+        } else if (msg.type === 'done') {
+          port.disconnect();
+          resolve({ text, done: true, truncated: !!msg.truncated });
+        } else if (msg.type === 'error') {
+          port.disconnect();
+          reject(deserializeError(msg.error));
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        // Port closed unexpectedly (e.g. service worker restart)
+        if (!signal.aborted && !text) {
+          reject(createError(ERROR_CODES.UNKNOWN, 'Connection to extension lost. Please try again.'));
+        } else {
+          resolve({ text, done: false, truncated: false });
+        }
+      });
+
+      // Send the request to background
+      port.postMessage(request);
+    });
+  }
+
+  /** 2 → "2nd", 3 → "3rd", 11 → "11th". */
+  function ordinal(n) {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+  }
+
+  /* ────────────────────────────────────────────
+     Auto-Brief
+  ──────────────────────────────────────────── */
+
+  // This page's auto-brief, when its site has a rule in Settings
+  let autoBrief = null;       // { mode, state: 'running' | 'ready' | 'idle', pending: Promise|null, unsaved: Object|null }
+
+  /**
+   * On sites with an auto-brief rule, brief the page in the rule's mode once
+   * it has settled and is visible, and show the collapsed tab instead of
+   * opening the drawer; clicking the tab opens the result from the cache, and
+   * only then is it saved to the Library.
+   * Pages briefed before aren't sent again, and the background skips the
+   * request rather than queue it when the rate limit or daily quota is tight,
+   * leaving the tab to run the mode on click.
+   */
+  async function startAutoBrief() {
+    if (window.top !== window) return;
+    const rule = AutoBrief.findRule(await Storage.getAutoBriefRules(), location.hostname);
+    const modeDef = rule && await Modes.get(rule.mode);
+    if (!modeDef || !AutoBrief.canAutoRun(modeDef)) return;
+
+    // Tabs opened in the background wait until they're looked at
+    await whenVisible();
+    await new Promise(resolve => setTimeout(resolve, AutoBrief.DELAY_MS));
+    if (isDrawerOpen()) return;
+
+    ensureHost();
+    autoBrief = { mode: modeDef.id, state: 'running', pending: null, unsaved: null };
+    renderAutoBriefTab(modeDef);
+    autoBrief.pending = prepareAutoBrief(modeDef)
+      .catch((err) => {
+        console.warn('[Briefrr] Auto-brief skipped:', err.message);
+        return false;
+      })
+      .then((ready) => {
+        autoBrief.state = ready ? 'ready' : 'idle';
+        autoBrief.pending = null;
+        renderAutoBriefTab(modeDef);
+      });
+  }
+
+  /**
+   * Make sure the page's result in a mode is in the summary cache, generating
+   * it quietly (no drawer) if needed. A new result is kept for the Library
+   * until it's opened (see saveAutoBrief).
+   * @param {Object} modeDef - From Modes.get()
+   * @returns {Promise<boolean>} Whether a result is cached for the tab to open
+   * @throws {Error} Extraction errors, and typed stream errors (RATE_LIMITED when skipped to save quota)
+   */
+  async function prepareAutoBrief(modeDef) {
+    const article = await extractPageArticle();
+    const language = await getResponseLanguage();
+    const cacheMode = getCacheMode(modeDef, language);
+    if (await SummaryCache.get(cacheMode, location.href, article.fullContent)) return true;
+
+    // Long pages take a request per section, so they're only briefed when asked
+    if (article.length > MAX_CONTENT_LENGTH) return false;
+
+    const schema = modeDef.id === 'extract' ? StructuredData.schema() : null;
+    const { text, done, truncated } = await streamFromBackground({
+      prompt: buildModePrompt(modeDef, article),
+      systemPrompt: withResponseLanguage(getSystemPrompt(modeDef), language, article.language),
+      mode: modeDef.id,
+      schema,
+      deferrable: true
+    }, () => {}, new AbortController().signal, modeDef.loadingText, () => {});
+    // Cut-off responses are left for the drawer, which can continue them
+    if (!done || truncated || !text) return false;
+
+    // Extract caches its data as JSON
+    const data = schema ? StructuredData.parse(text) : null;
+    const modeName = modeDef.builtin ? undefined : modeDef.name;
+    await SummaryCache.set(cacheMode, location.href, article.fullContent, data ? JSON.stringify(data) : text);
+    autoBrief.unsaved = { title: article.title, url: location.href, mode: modeDef.id, modeName, markdown: data ? StructuredData.toMarkdown(data) : text };
+    return true;
+  }
+
+  /**
+   * Save the auto-brief to the Library once it's opened in the drawer, so
+   * briefs of pages never read don't fill the Library.
+   * @param {string} mode - The mode the drawer is showing
+   */
+  function saveAutoBrief(mode) {
+    if (!autoBrief?.unsaved || autoBrief.mode !== mode) return;
+    const saveToLibrary = librarySaver();
+    saveToLibrary(autoBrief.unsaved);
+    autoBrief.unsaved = null;
+  }
+
+  /**
+   * Show the collapsed tab in the auto-brief's current state.
+   * @param {Object} modeDef - The rule's mode
+   */
+  function renderAutoBriefTab(modeDef) {
+    const tab = shadowRoot.getElementById('pb-tab');
+    tab.hidden = false;
+    tab.dataset.state = autoBrief.state;
+    tab.innerHTML = '<span class="briefrr-tab-icon"></span><span class="briefrr-tab-status"></span>';
+    tab.querySelector('.briefrr-tab-icon').textContent = modeDef.icon;
+    tab.title = {
+      running: `Briefrr — preparing ${modeDef.name} for this page...`,
+      ready: `Briefrr — ${modeDef.name} is ready. Click to read it.`,
+      idle: `Briefrr — click for ${modeDef.name} of this page.`
+    }[autoBrief.state];
+    tab.setAttribute('aria-label', tab.title);
+  }
+
+  /** Resolve once the page's browser tab is visible. */
+  function whenVisible() {
+    return new Promise((resolve) => {
+      if (document.visibilityState === 'visible') {
+        resolve();
+        return;
+      }
+      document.addEventListener('visibilitychange', function onChange() {
+        if (document.visibilityState !== 'visible') return;
+        document.removeEventListener('visibilitychange', onChange);
+        resolve();
+      });
+    });
+  }
+
   /* ────────────────────────────────────────────
      Message Listener
   ──────────────────────────────────────────── */
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'briefrr-run') {
-      runBriefrr(message.mode);
+      // Context-menu runs carry the selected text; popup runs brief the whole page
+      ensureHost();
+      setSelectionScope(message.selection || '');
+      if (message.mode === 'search') {
+        // Search waits for a question
+        openDrawer();
+        switchMode('search');
+      } else {
+        runBriefrr(message.mode);
+      }
+      sendResponse({ ok: true });
+    } else if (message.action === 'briefrr-toggle') {
+      toggleDrawer();
+      sendResponse({ ok: true });
+    } else if (message.action === 'briefrr-extract') {
+      // Another tab is comparing tabs — send back this page's content
+      extractPageArticle().then(
+        (article) => sendResponse({
+          ok: true,
+          source: { title: article.title, url: location.href, siteName: article.siteName, content: article.content }
+        }),
+        (err) => sendResponse({ ok: false, error: err.message })
+      );
+      return true;
+    } else if (message.action === 'briefrr-compare') {
+      ensureHost();
+      compareSources = { sources: message.sources, skipped: message.skipped };
+      runCompare();
       sendResponse({ ok: true });
     }
   });
@@ -445,65 +1661,187 @@
   /* ────────────────────────────────────────────
      Shadow DOM Styles
   ──────────────────────────────────────────── */
+  // Dark palette, used by the dark theme and by the system theme when the OS is in dark mode
+  const DARK_THEME = `
+        --pb-bg: #1c1d21;
+        --pb-bg-subtle: #24252a;
+        --pb-bg-muted: #2c2d33;
+        --pb-bg-hover: #36373e;
+        --pb-text: #e8e8ed;
+        --pb-text-secondary: #c9cad1;
+        --pb-text-muted: #9ca0ab;
+        --pb-text-faint: #767a85;
+        --pb-border: #36373e;
+        --pb-border-strong: #4a4b53;
+        --pb-accent: #8f88ff;
+        --pb-accent-hover: #a39dff;
+        --pb-accent-soft: #2f2b5c;
+        --pb-accent-faint: #25233f;
+        --pb-quote: #4c4f8a;
+        --pb-code: #fb7185;
+        --pb-warning-bg: #3b2f12;
+        --pb-warning-text: #fcd34d;
+        --pb-shadow: rgba(0,0,0,0.5);
+  `;
+
   function getShadowStyles() {
     return `
       * { margin: 0; padding: 0; box-sizing: border-box; }
 
+      /* ── Theme ── */
+      :host {
+        --pb-bg: #ffffff;
+        --pb-bg-subtle: #f8f9fa;
+        --pb-bg-muted: #f3f4f6;
+        --pb-bg-hover: #e5e7eb;
+        --pb-text: #1A1A2E;
+        --pb-text-secondary: #374151;
+        --pb-text-muted: #6B7280;
+        --pb-text-faint: #9CA3AF;
+        --pb-border: #E5E7EB;
+        --pb-border-strong: #D1D5DB;
+        --pb-accent: #6C63FF;
+        --pb-accent-hover: #5a52e0;
+        --pb-accent-soft: #ede9fe;
+        --pb-accent-faint: #f5f3ff;
+        --pb-quote: #c7d2fe;
+        --pb-code: #e11d48;
+        --pb-warning-bg: #fef3c7;
+        --pb-warning-text: #92400e;
+        --pb-shadow: rgba(0,0,0,0.15);
+      }
+      :host([data-theme="dark"]) { ${DARK_THEME} }
+      @media (prefers-color-scheme: dark) {
+        :host([data-theme="system"]) { ${DARK_THEME} }
+      }
+
       .briefrr-drawer {
         position: fixed;
         top: 0; right: 0;
-        width: 400px; height: 100vh;
-        background: #ffffff;
-        box-shadow: -4px 0 20px rgba(0,0,0,0.15);
+        width: var(--briefrr-width, 400px); height: 100vh;
+        background: var(--pb-bg);
+        box-shadow: -4px 0 20px var(--pb-shadow);
         display: flex; flex-direction: column;
         font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
         font-size: 15px;
-        color: #1A1A2E;
+        color: var(--pb-text);
+        color-scheme: light;
         transform: translateX(100%);
         transition: transform 0.3s ease;
         z-index: 2147483647;
       }
+      :host([data-theme="dark"]) .briefrr-drawer { color-scheme: dark; }
+      @media (prefers-color-scheme: dark) {
+        :host([data-theme="system"]) .briefrr-drawer { color-scheme: dark; }
+      }
       .briefrr-drawer.open { transform: translateX(0); }
+      .briefrr-drawer:focus { outline: none; }
+
+      /* Docked left: slides in from the left edge */
+      :host([data-dock="left"]) .briefrr-drawer {
+        right: auto; left: 0;
+        box-shadow: 4px 0 20px var(--pb-shadow);
+        transform: translateX(-100%);
+      }
+      :host([data-dock="left"]) .briefrr-drawer.open { transform: translateX(0); }
+
+      /* Drag handle on the edge facing the page */
+      .briefrr-resize {
+        position: absolute; top: 0; bottom: 0; left: -3px;
+        width: 6px; cursor: ew-resize; z-index: 2;
+      }
+      :host([data-dock="left"]) .briefrr-resize { left: auto; right: -3px; }
+      .briefrr-resize:hover, .briefrr-drawer.resizing .briefrr-resize { background: var(--pb-accent); opacity: 0.5; }
+      .briefrr-drawer.resizing { transition: none; user-select: none; }
 
       @media (max-width: 768px) {
         .briefrr-drawer { width: 100vw; }
+        .briefrr-resize { display: none; }
+      }
+
+      /* ── Auto-brief tab ── */
+      .briefrr-tab {
+        position: fixed; top: 40%; right: 0;
+        display: flex; flex-direction: column; align-items: center; gap: 6px;
+        padding: 10px 7px;
+        background: var(--pb-bg); color: var(--pb-text);
+        border: 1px solid var(--pb-border); border-right: none;
+        border-radius: 10px 0 0 10px;
+        box-shadow: -2px 2px 10px var(--pb-shadow);
+        cursor: pointer; pointer-events: auto;
+        z-index: 2147483647;
+      }
+      .briefrr-tab[hidden], .briefrr-drawer.open ~ .briefrr-tab { display: none; }
+      .briefrr-tab:hover { background: var(--pb-bg-hover); }
+      :host([data-dock="left"]) .briefrr-tab {
+        right: auto; left: 0;
+        border-right: 1px solid var(--pb-border); border-left: none;
+        border-radius: 0 10px 10px 0;
+        box-shadow: 2px 2px 10px var(--pb-shadow);
+      }
+      .briefrr-tab-icon { font-size: 18px; line-height: 1; }
+      .briefrr-tab-status { width: 8px; height: 8px; border-radius: 50%; background: var(--pb-text-faint); }
+      .briefrr-tab[data-state="running"] .briefrr-tab-status {
+        width: 10px; height: 10px; background: none;
+        border: 2px solid var(--pb-border); border-top-color: var(--pb-accent);
+        animation: spin 0.8s linear infinite;
       }
+      .briefrr-tab[data-state="ready"] .briefrr-tab-status { background: var(--pb-accent); }
 
       /* ── Header ── */
       .briefrr-header {
         display: flex; align-items: center; justify-content: space-between;
         padding: 0 16px;
         height: 56px; min-height: 56px;
-        background: #f8f9fa;
-        border-bottom: 1px solid #E5E7EB;
+        background: var(--pb-bg-subtle);
+        border-bottom: 1px solid var(--pb-border);
       }
       .briefrr-title { display: flex; align-items: center; gap: 8px; font-weight: 700; font-size: 14px; }
       .briefrr-logo { font-size: 18px; }
-      .briefrr-actions { display: flex; gap: 4px; }
+      .briefrr-actions, .briefrr-mode-btns { display: flex; gap: 4px; }
+      .briefrr-actions { min-width: 0; }
+      .briefrr-mode-btns { overflow-x: auto; scrollbar-width: none; }
       .briefrr-actions button {
         background: none; border: none; cursor: pointer;
         font-size: 16px; padding: 6px 8px; border-radius: 6px;
-        color: #6B7280; transition: background 0.15s;
+        color: var(--pb-text-muted); transition: background 0.15s;
       }
-      .briefrr-actions button:hover { background: #e5e7eb; }
+      .briefrr-actions button:hover { background: var(--pb-bg-hover); }
       .briefrr-mode-btn.active {
         background: #3B82F6 !important;
         color: white !important;
       }
       .briefrr-close { font-style: normal; font-size: 18px !important; }
 
+      /* ── Export menu ── */
+      .briefrr-export-menu {
+        position: absolute; top: 52px; right: 12px;
+        flex-direction: column;
+        min-width: 220px; padding: 6px;
+        background: var(--pb-bg); border: 1px solid var(--pb-border); border-radius: 10px;
+        box-shadow: 0 8px 24px var(--pb-shadow);
+        z-index: 1;
+      }
+      .briefrr-export-menu button {
+        background: none; border: none; cursor: pointer;
+        text-align: left; padding: 8px 10px; border-radius: 6px;
+        font-family: inherit; font-size: 13px; color: var(--pb-text);
+      }
+      .briefrr-export-menu button:hover { background: var(--pb-bg-muted); }
+
       /* ── Search Bar ── */
       .briefrr-search-bar {
         display: flex;
         gap: 8px;
         padding: 12px 16px;
-        background: #f8f9fa;
-        border-bottom: 1px solid #E5E7EB;
+        background: var(--pb-bg-subtle);
+        border-bottom: 1px solid var(--pb-border);
       }
       .briefrr-search-bar input {
         flex: 1;
         padding: 8px 12px;
-        border: 1px solid #D1D5DB;
+        background: var(--pb-bg); color: var(--pb-text);
+        border: 1px solid var(--pb-border-strong);
         border-radius: 6px;
         font-size: 14px;
         font-family: inherit;
@@ -527,10 +1865,40 @@
       .briefrr-search-bar button:hover {
         background: #2563EB;
       }
+      .briefrr-search-bar .pb-new-chat-btn {
+        padding: 8px 10px;
+        background: none;
+        color: var(--pb-text-muted);
+        border: 1px solid var(--pb-border-strong);
+      }
+      .briefrr-search-bar .pb-new-chat-btn:hover {
+        background: var(--pb-bg-hover);
+      }
+
+      /* ── Selected passage ── */
+      .briefrr-selection {
+        display: flex; flex-direction: column; align-items: flex-start; gap: 6px;
+        padding: 12px 16px;
+        border-bottom: 1px solid var(--pb-border);
+      }
+      .pb-selection-quote {
+        border-left: 3px solid var(--pb-accent);
+        padding: 2px 0 2px 10px;
+        color: var(--pb-text-secondary); font-size: 13px; font-style: italic;
+        line-height: 1.5; white-space: pre-wrap;
+        max-height: 96px; overflow-y: auto;
+      }
+      .pb-selection-clear {
+        background: none; border: none; cursor: pointer;
+        color: var(--pb-accent); font-size: 12px; font-weight: 600;
+        font-family: inherit;
+      }
+      .pb-selection-clear:hover { text-decoration: underline; }
 
       /* ── Content ── */
       .briefrr-content {
         flex: 1; overflow-y: auto; padding: 20px;
+        font-size: var(--briefrr-font-size, 15px);
         line-height: 1.6;
       }
       
@@ -538,30 +1906,55 @@
       .pb-info {
         text-align: center;
         padding: 40px 20px;
-        color: #6B7280;
+        color: var(--pb-text-muted);
       }
       .pb-info p {
-        font-size: 15px;
+        font-size: 1em;
         line-height: 1.6;
       }
 
+      /* ── Search conversation ── */
+      .pb-thread { display: flex; flex-direction: column; gap: 12px; }
+      .pb-msg { border-radius: 10px; line-height: 1.6; }
+      .pb-msg-user {
+        align-self: flex-end; max-width: 85%;
+        padding: 8px 12px;
+        background: #3B82F6; color: #fff;
+        font-size: 0.93em; white-space: pre-wrap;
+      }
+      .pb-msg-model { padding: 4px 0; }
+      .pb-msg-model .pb-loading { height: auto; padding: 16px 0; }
+
+      /* ── Usage warning ── */
+      .briefrr-usage-warning {
+        padding: 8px 16px;
+        background: var(--pb-warning-bg); color: var(--pb-warning-text);
+        font-size: 12px; line-height: 1.5;
+      }
+
       /* ── Footer ── */
       .briefrr-footer {
         padding: 10px 16px;
-        border-top: 1px solid #f3f4f6;
+        border-top: 1px solid var(--pb-bg-muted);
         text-align: center;
       }
-      .briefrr-powered { font-size: 11px; color: #9CA3AF; }
+      .briefrr-powered { font-size: 11px; color: var(--pb-text-faint); }
+      .briefrr-language {
+        margin-left: 8px; max-width: 150px;
+        border: 1px solid var(--pb-border); border-radius: 6px;
+        background: var(--pb-bg); color: var(--pb-text-muted);
+        font-size: 11px; font-family: inherit; padding: 1px 4px;
+      }
 
       /* ── Loading ── */
       .pb-loading {
         display: flex; flex-direction: column; align-items: center;
         justify-content: center; gap: 14px;
-        height: 200px; color: #6B7280; font-size: 14px;
+        height: 200px; color: var(--pb-text-muted); font-size: 14px;
       }
       .pb-spinner {
         width: 28px; height: 28px;
-        border: 3px solid #E5E7EB; border-top-color: #6C63FF;
+        border: 3px solid var(--pb-border); border-top-color: var(--pb-accent);
         border-radius: 50%;
         animation: spin 0.8s linear infinite;
       }
@@ -571,7 +1964,7 @@
       .pb-cursor {
         display: inline-block;
         width: 8px; height: 18px;
-        background: #6C63FF;
+        background: var(--pb-accent);
         border-radius: 2px;
         animation: blink 0.8s steps(2) infinite;
         margin-left: 2px;
@@ -583,48 +1976,149 @@
       .pb-error {
         display: flex; flex-direction: column; align-items: center;
         justify-content: center; gap: 12px; text-align: center;
-        padding: 40px 20px; color: #6B7280;
+        padding: 40px 20px; color: var(--pb-text-muted);
       }
       .pb-error-icon { font-size: 32px; }
       .pb-error p { font-size: 14px; line-height: 1.6; max-width: 300px; }
       .pb-retry-btn {
-        background: #6C63FF; color: #fff; border: none;
+        background: var(--pb-accent); color: #fff; border: none;
         padding: 9px 20px; border-radius: 8px; cursor: pointer;
         font-size: 13px; font-weight: 600;
         transition: background 0.2s;
       }
-      .pb-retry-btn:hover { background: #5a52e0; }
+      .pb-retry-btn:hover { background: var(--pb-accent-hover); }
+      .pb-error .pb-error-title { font-size: 15px; font-weight: 600; color: var(--pb-text); }
+      .pb-error-actions { display: flex; gap: 8px; }
+      .pb-error-action-btn {
+        background: none; color: var(--pb-accent);
+        border: 1px solid var(--pb-accent); padding: 8px 16px;
+        border-radius: 8px; cursor: pointer;
+        font-size: 13px; font-weight: 600; font-family: inherit;
+      }
+      .pb-error-action-btn:hover { background: var(--pb-accent-faint); }
+
+      /* ── Truncated response ── */
+      .pb-truncated {
+        display: flex; align-items: center; justify-content: space-between; gap: 10px;
+        margin-top: 14px; padding: 8px 10px;
+        background: var(--pb-accent-faint); border-radius: 6px;
+        font-size: 12px; color: var(--pb-text-muted);
+      }
+      .pb-continue-btn {
+        background: var(--pb-accent); color: #fff; border: none;
+        padding: 6px 14px; border-radius: 6px; cursor: pointer;
+        font-size: 12px; font-weight: 600; font-family: inherit;
+        flex-shrink: 0;
+      }
+      .pb-continue-btn:hover { background: var(--pb-accent-hover); }
+
+      /* ── Extract tables ── */
+      .pb-extract-section { margin-bottom: 18px; }
+      .pb-extract-head {
+        display: flex; align-items: center; justify-content: space-between;
+        margin-bottom: 6px;
+      }
+      .pb-extract-title { font-weight: 600; color: var(--pb-text); }
+      .pb-extract-count {
+        margin-left: 4px; padding: 0 6px; border-radius: 8px;
+        background: var(--pb-accent-soft); color: var(--pb-accent);
+        font-size: 11px; font-weight: 600;
+      }
+      .pb-extract-csv {
+        background: none; border: 1px solid var(--pb-border); border-radius: 6px;
+        padding: 2px 8px; cursor: pointer;
+        color: var(--pb-text-muted); font-size: 11px; font-weight: 600; font-family: inherit;
+      }
+      .pb-extract-csv:hover { color: var(--pb-accent); border-color: var(--pb-accent); }
+      .pb-extract-table th { cursor: pointer; user-select: none; white-space: nowrap; }
+      .pb-extract-table th:hover { color: var(--pb-accent); }
+      .pb-extract-table th[data-sort="asc"]::after { content: ' ▲'; font-size: 9px; }
+      .pb-extract-table th[data-sort="desc"]::after { content: ' ▼'; font-size: 9px; }
+      .pb-extract-table td { word-break: break-word; }
+      .pb-extract-table .pb-cite { vertical-align: baseline; }
+
+      /* ── Cache indicator ── */
+      .pb-cache-bar {
+        display: flex; align-items: center; gap: 6px;
+        margin-bottom: 14px; padding: 6px 10px;
+        background: var(--pb-accent-faint); border-radius: 6px;
+        font-size: 12px; color: var(--pb-text-muted);
+      }
+      .pb-regenerate-btn {
+        background: none; border: none; cursor: pointer;
+        color: var(--pb-accent); font-size: 12px; font-weight: 600;
+        font-family: inherit;
+      }
+      .pb-regenerate-btn:hover { text-decoration: underline; }
 
       /* ── Markdown Rendered Content ── */
       .pb-markdown { animation: fadeIn 0.15s ease; }
       @keyframes fadeIn { from { opacity: 0.5; } to { opacity: 1; } }
 
-      .pb-h1 { font-size: 22px; font-weight: 700; margin: 20px 0 10px; }
-      .pb-h2 { font-size: 18px; font-weight: 700; margin: 22px 0 8px; color: #1A1A2E; }
-      .pb-h3 { font-size: 16px; font-weight: 600; margin: 18px 0 6px; color: #374151; }
+      .pb-h1 { font-size: 1.45em; font-weight: 700; margin: 20px 0 10px; }
+      .pb-h2 { font-size: 1.2em; font-weight: 700; margin: 22px 0 8px; color: var(--pb-text); }
+      .pb-h3 { font-size: 1.07em; font-weight: 600; margin: 18px 0 6px; color: var(--pb-text-secondary); }
       .pb-p  { margin-bottom: 12px; line-height: 1.65; }
 
       .pb-ul, .pb-ol { padding-left: 22px; margin-bottom: 12px; }
       .pb-ul li, .pb-ol li { margin-bottom: 6px; line-height: 1.55; }
+      li > .pb-ul, li > .pb-ol { margin: 6px 0 0; }
+
+      .pb-blockquote {
+        border-left: 3px solid var(--pb-quote); padding: 2px 0 2px 12px;
+        margin: 0 0 12px; color: var(--pb-text-secondary);
+      }
+      .pb-hr { border: none; border-top: 1px solid var(--pb-border); margin: 16px 0; }
+
+      .pb-table-wrap { overflow-x: auto; margin-bottom: 12px; }
+      .pb-table { border-collapse: collapse; font-size: 0.87em; min-width: 100%; }
+      .pb-table th, .pb-table td { border: 1px solid var(--pb-border); padding: 6px 10px; text-align: left; vertical-align: top; }
+      .pb-table th { background: var(--pb-bg-subtle); font-weight: 600; }
 
       .pb-inline-code {
-        background: #F3F4F6; color: #e11d48;
+        background: var(--pb-bg-muted); color: var(--pb-code);
         padding: 2px 6px; border-radius: 4px;
         font-family: 'SF Mono', 'Fira Code', monospace;
-        font-size: 13px;
+        font-size: 0.87em;
+      }
+      .pb-code { position: relative; margin: 12px 0; }
+      .pb-code-lang {
+        position: absolute; top: 6px; right: 10px;
+        font-size: 11px; color: var(--pb-text-faint); text-transform: lowercase;
       }
       .pb-code-block {
-        background: #F3F4F6; border-radius: 8px;
+        background: var(--pb-bg-muted); border-radius: 8px;
         padding: 14px 16px; overflow-x: auto;
-        margin: 12px 0;
         font-family: 'SF Mono', 'Fira Code', monospace;
-        font-size: 13px; line-height: 1.5;
+        font-size: 0.87em; line-height: 1.5;
+      }
+
+      .pb-cite {
+        display: inline-block; vertical-align: super;
+        min-width: 16px; margin-left: 2px; padding: 0 4px;
+        background: var(--pb-accent-soft); color: var(--pb-accent);
+        border: none; border-radius: 8px; cursor: pointer;
+        font-family: inherit; font-size: 10px; font-weight: 600; line-height: 15px;
+      }
+      .pb-cite:hover { background: var(--pb-accent); color: #fff; }
+      .pb-sources {
+        list-style: none;
+        margin: -4px 0 14px; padding: 8px 12px;
+        background: var(--pb-bg-subtle); border-radius: 8px;
+        font-size: 12px; line-height: 1.6; color: var(--pb-text-muted);
       }
+      .pb-sources a { color: var(--pb-text); text-decoration: none; }
+      .pb-sources a:hover { color: var(--pb-accent); text-decoration: underline; }
+      .pb-time { vertical-align: baseline; font-size: 11px; padding: 0 6px; }
+      .pb-time::before { content: '▶ '; font-size: 8px; }
 
-      a { color: #6C63FF; text-decoration: none; }
+      a { color: var(--pb-accent); text-decoration: none; }
       a:hover { text-decoration: underline; }
       strong { font-weight: 600; }
       em { font-style: italic; }
     `;
   }
+
+  // Failures (e.g. storage errors) just leave the page without an auto-brief
+  startAutoBrief().catch(err => console.warn('[Briefrr] Auto-brief failed:', err));
 })();
@@ -0,0 +1,232 @@
+/**
+ * Library Page Logic — Browse, search, tag, star, delete and export saved summaries.
+ */
+(async function () {
+  const searchInput    = document.getElementById('search-input');
+  const modeFilter     = document.getElementById('mode-filter');
+  const tagFilters     = document.getElementById('tag-filters');
+  const entryList      = document.getElementById('entry-list');
+  const emptyState     = document.getElementById('empty-state');
+  const emptyMessage   = document.getElementById('empty-message');
+  const selectAll      = document.getElementById('select-all');
+  const selectionCount = document.getElementById('selection-count');
+  const storageUsage   = document.getElementById('storage-usage');
+  const confirmOverlay = document.getElementById('confirm-overlay');
+  const template       = document.getElementById('entry-template');
+
+  let entries = [];
+  let favoritesOnly = false;
+  let activeTag = '';
+  const selected = new Set();
+  const expanded = new Set();
+
+  await reload();
+  renderModeFilter();
+
+  // Summaries saved from other tabs show up while the page is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.summaryLibrary) reload();
+  });
+
+  /** Re-read the library and re-render. */
+  async function reload() {
+    entries = await Library.list();
+    const ids = new Set(entries.map(entry => entry.id));
+    [...selected].forEach(id => { if (!ids.has(id)) selected.delete(id); });
+    render();
+    showUsage();
+  }
+
+  /** Entries matching the search box and filters. */
+  function visibleEntries() {
+    return Library.search(entries, searchInput.value).filter(entry =>
+      (!favoritesOnly || entry.favorite) &&
+      (!modeFilter.value || entry.mode === modeFilter.value) &&
+      (!activeTag || entry.tags.includes(activeTag))
+    );
+  }
+
+  function render() {
+    const visible = visibleEntries();
+    entryList.innerHTML = '';
+    visible.forEach(entry => entryList.appendChild(renderEntry(entry)));
+
+    emptyState.style.display = visible.length ? 'none' : 'block';
+    emptyMessage.textContent = entries.length
+      ? 'No summaries match your search.'
+      : 'No summaries yet. Brief a page and it will show up here.';
+
+    renderTagFilters();
+    updateSelectionCount(visible);
+  }
+
+  /** Build the card for one entry from the template. */
+  function renderEntry(entry) {
+    const card = template.content.firstElementChild.cloneNode(true);
+
+    const checkbox = card.querySelector('.entry-select');
+    checkbox.checked = selected.has(entry.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) selected.add(entry.id);
+      else selected.delete(entry.id);
+      updateSelectionCount(visibleEntries());
+    });
+
+    const title = card.querySelector('.entry-title');
+    title.textContent = entry.title || entry.url;
+    title.href = entry.url;
+
+    const star = card.querySelector('.entry-star');
+    star.textContent = entry.favorite ? '★' : '☆';
+    star.classList.toggle('active', entry.favorite);
+    star.addEventListener('click', () => Library.update(entry.id, { favorite: !entry.favorite }));
+
+    card.querySelector('.entry-delete').addEventListener('click', () => confirmDelete([entry.id]));
+
+    let site = entry.url;
+    try { site = new URL(entry.url).hostname; } catch { /* keep the raw URL */ }
+    card.querySelector('.entry-meta').textContent =
+      `${Exporter.modeLabel(entry)} · ${site} · ${new Date(entry.createdAt).toLocaleString()}`;
+
+    // Tags: chips with a remove button, plus an input to add one
+    const tags = card.querySelector('.entry-tags');
+    const tagInput = card.querySelector('.tag-input');
+    entry.tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tag';
+      chip.textContent = tag;
+      const remove = document.createElement('button');
+      remove.className = 'tag-remove';
+      remove.title = 'Remove tag';
+      remove.textContent = '×';
+      remove.addEventListener('click', () => Library.update(entry.id, { tags: entry.tags.filter(t => t !== tag) }));
+      chip.appendChild(remove);
+      tags.insertBefore(chip, tagInput);
+    });
+    tagInput.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      const tag = tagInput.value.trim().toLowerCase();
+      if (tag && !entry.tags.includes(tag)) Library.update(entry.id, { tags: [...entry.tags, tag] });
+      tagInput.value = '';
+    });
+
+    const details = card.querySelector('.entry-summary');
+    details.open = expanded.has(entry.id);
+    details.addEventListener('toggle', () => {
+      if (details.open) expanded.add(entry.id);
+      else expanded.delete(entry.id);
+    });
+    // There's no page to scroll to here, so citations stay as plain text
+    card.querySelector('.entry-markdown').innerHTML = Markdown.render(entry.markdown, { citations: false });
+
+    return card;
+  }
+
+  /** Add a mode filter option for every custom mode that has saved summaries. */
+  function renderModeFilter() {
+    const custom = new Map(entries.filter(entry => entry.modeName).map(entry => [entry.mode, entry.modeName]));
+    custom.forEach((name, mode) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = name;
+      modeFilter.appendChild(option);
+    });
+  }
+
+  /** Clickable chips for every tag in use. */
+  function renderTagFilters() {
+    const allTags = [...new Set(entries.flatMap(entry => entry.tags))].sort();
+    if (activeTag && !allTags.includes(activeTag)) activeTag = '';
+
+    tagFilters.innerHTML = '';
+    allTags.forEach(tag => {
+      const chip = document.createElement('button');
+      chip.className = 'tag tag-filter' + (tag === activeTag ? ' active' : '');
+      chip.textContent = `#${tag}`;
+      chip.addEventListener('click', () => {
+        activeTag = activeTag === tag ? '' : tag;
+        render();
+      });
+      tagFilters.appendChild(chip);
+    });
+  }
+
+  function updateSelectionCount(visible) {
+    const count = visible.filter(entry => selected.has(entry.id)).length;
+    selectionCount.textContent = count ? `${count} selected` : 'Select all';
+    selectAll.checked = count > 0 && count === visible.length;
+    selectAll.indeterminate = count > 0 && count < visible.length;
+  }
+
+  /** Selected visible entries, or every visible entry when nothing is selected. */
+  function bulkTargets() {
+    const visible = visibleEntries();
+    const chosen = visible.filter(entry => selected.has(entry.id));
+    return chosen.length ? chosen : visible;
+  }
+
+  async function showUsage() {
+    const { used, quota } = await Library.usage();
+    const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+    storageUsage.textContent = `${entries.length} summaries · ${mb(used)} of ${mb(quota)} MB used`;
+    storageUsage.classList.toggle('warning', used > quota * 0.9);
+  }
+
+  /* ── Filters ── */
+  searchInput.addEventListener('input', render);
+  modeFilter.addEventListener('change', render);
+  document.querySelectorAll('.filter-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      favoritesOnly = btn.dataset.filter === 'favorites';
+      document.querySelectorAll('.filter-btn').forEach(b => b.classList.toggle('active', b === btn));
+      render();
+    });
+  });
+
+  selectAll.addEventListener('change', () => {
+    visibleEntries().forEach(entry => {
+      if (selectAll.checked) selected.add(entry.id);
+      else selected.delete(entry.id);
+    });
+    render();
+  });
+
+  /* ── Bulk export ── */
+  document.getElementById('btn-export-md').addEventListener('click', () => {
+    const targets = bulkTargets();
+    if (!targets.length) return;
+    const markdown = targets.map(entry => Exporter.toMarkdown(entry)).join('\n');
+    Exporter.download(`briefrr-library-${new Date().toISOString().slice(0, 10)}.md`, markdown, 'text/markdown');
+  });
+
+  document.getElementById('btn-export-json').addEventListener('click', () => {
+    const targets = bulkTargets();
+    if (!targets.length) return;
+    Exporter.download(`briefrr-library-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(targets, null, 2), 'application/json');
+  });
+
+  /* ── Delete ── */
+  let pendingDelete = [];
+
+  document.getElementById('btn-delete-selected').addEventListener('click', () => {
+    const ids = visibleEntries().filter(entry => selected.has(entry.id)).map(entry => entry.id);
+    if (ids.length) confirmDelete(ids);
+  });
+
+  function confirmDelete(ids) {
+    pendingDelete = ids;
+    document.getElementById('confirm-message').textContent = ids.length === 1
+      ? 'This summary will be permanently removed.'
+      : `These ${ids.length} summaries will be permanently removed.`;
+    confirmOverlay.style.display = 'flex';
+  }
+
+  document.getElementById('btn-cancel-delete').addEventListener('click', () => {
+    confirmOverlay.style.display = 'none';
+  });
+  document.getElementById('btn-confirm-delete').addEventListener('click', async () => {
+    confirmOverlay.style.display = 'none';
+    pendingDelete.forEach(id => selected.delete(id));
+    await Library.remove(pendingDelete);
+  });
+})();
@@ -33,13 +33,22 @@
     showStatus('Verifying your key...', 'loading');
     document.getElementById('btn-verify').disabled = true;
 
-    const result = await validateApiKey(key);
+    // Check the key against the model Briefrr will use
+    const settings = await Storage.getProviderSettings();
+    const result = await validateApiKey(key, settings.gemini.model || getProvider('gemini').defaultModel);
 
     if (result.valid) {
-      await Storage.setApiKey(key);
-      await Storage.setOnboarded();
-      showStatus('✅ Key verified! You\'re all set.', 'success');
-      setTimeout(() => goToStep(2), 800);
+      try {
+        // The background keeps the key (encrypted, if a passphrase is set)
+        await askBackground('briefrr-key-set', { provider: 'gemini', key });
+        await Storage.setOnboarded();
+        showStatus('✅ Key verified! You\'re all set.', 'success');
+        setTimeout(() => goToStep(2), 800);
+      } catch (err) {
+        showStatus(err.message === 'KEY_LOCKED'
+          ? '🔒 Your saved keys are locked — unlock them from the Briefrr icon first.'
+          : `❌ Couldn't save the key: ${err.message}`, 'error');
+      }
     } else if (result.error === 'RATE_LIMITED') {
       showStatus('⏳ Rate limit hit — too many requests. Wait a minute and try again.', 'error');
     } else if (result.error === 'NETWORK_ERROR') {
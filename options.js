@@ -1,5 +1,5 @@
 /**
- * Options Page Logic — Manage Gemini API key.
+ * Options Page Logic — Manage the AI provider and Gemini API key.
  */
 (async function () {
   const keyValue       = document.getElementById('key-value');
@@ -9,21 +9,24 @@
   const statusMsg      = document.getElementById('status-msg');
   const confirmOverlay = document.getElementById('confirm-overlay');
 
+  // Which providers have a saved key, and whether they're locked (see KeyVault.status)
+  let keyStatus = await askBackground('briefrr-key-status');
+
   /** Refresh the displayed key state. */
   async function refreshKeyDisplay() {
-    const key = await Storage.getApiKey();
-    if (key) {
-      keyValue.textContent = '••••••••' + key.slice(-4);
-      keyActions.style.display = 'flex';
+    keyStatus = await askBackground('briefrr-key-status');
+    if (keyStatus.locked && 'gemini' in keyStatus.keys) {
+      keyValue.textContent = '🔒 Locked';
+    } else if ('gemini' in keyStatus.keys) {
+      keyValue.textContent = '••••••••' + keyStatus.keys.gemini;
     } else {
       keyValue.textContent = 'Not set';
-      keyActions.style.display = 'flex';
     }
+    keyActions.style.display = 'flex';
     keyEdit.style.display = 'none';
+    renderVault();
   }
 
-  await refreshKeyDisplay();
-
   // Change key
   document.getElementById('btn-change-key').addEventListener('click', () => {
     keyActions.style.display = 'none';
@@ -55,12 +58,18 @@
     showStatus('Verifying...', 'loading');
     document.getElementById('btn-save-key').disabled = true;
 
-    const result = await validateApiKey(key);
+    // Check the key against the model Briefrr will actually use
+    const settings = await Storage.getProviderSettings();
+    const result = await validateApiKey(key, settings.gemini.model || getProvider('gemini').defaultModel);
 
     if (result.valid) {
-      await Storage.setApiKey(key);
-      showStatus('✅ Key saved successfully.', 'success');
-      setTimeout(refreshKeyDisplay, 1000);
+      try {
+        await askBackground('briefrr-key-set', { provider: 'gemini', key });
+        showStatus('✅ Key saved successfully.', 'success');
+        setTimeout(refreshKeyDisplay, 1000);
+      } catch (err) {
+        showStatus(err.message === 'KEY_LOCKED' ? '🔒 Unlock your keys below first.' : `❌ ${err.message}`, 'error');
+      }
     } else if (result.error === 'RATE_LIMITED') {
       showStatus('⏳ Rate limit hit — wait a minute and try again.', 'error');
     } else if (result.error === 'NETWORK_ERROR') {
@@ -79,8 +88,13 @@
     confirmOverlay.style.display = 'none';
   });
   document.getElementById('btn-confirm-clear').addEventListener('click', async () => {
-    await Storage.removeApiKey();
     confirmOverlay.style.display = 'none';
+    try {
+      await askBackground('briefrr-key-remove', { provider: 'gemini' });
+    } catch (err) {
+      showStatus(err.message === 'KEY_LOCKED' ? '🔒 Unlock your keys below first.' : `❌ ${err.message}`, 'error');
+      return;
+    }
     refreshKeyDisplay();
   });
 
@@ -88,4 +102,830 @@
     statusMsg.textContent = msg;
     statusMsg.className = 'status ' + type;
   }
+
+  /* ── Passphrase Lock ── */
+  const vaultState      = document.getElementById('vault-state');
+  const vaultForm       = document.getElementById('vault-form');
+  const vaultPassphrase = document.getElementById('vault-passphrase');
+  const vaultConfirm    = document.getElementById('vault-confirm');
+  const vaultSubmit     = document.getElementById('btn-vault-submit');
+  const vaultUnlocked   = document.getElementById('vault-unlocked-actions');
+  const vaultStatus     = document.getElementById('vault-status');
+
+  /** Show the form for the vault's state: set a passphrase, unlock, or change it. */
+  function renderVault() {
+    const { encrypted, locked } = keyStatus;
+    vaultState.textContent = !encrypted
+      ? 'Off — keys are stored unencrypted in this browser.'
+      : locked
+        ? 'On — locked. Enter the passphrase to use Briefrr.'
+        : 'On — unlocked until the browser closes.';
+    vaultConfirm.style.display = locked ? 'none' : 'block';
+    vaultPassphrase.placeholder = locked ? 'Passphrase' : encrypted ? 'New passphrase' : 'Passphrase';
+    vaultSubmit.textContent = !encrypted ? 'Encrypt keys' : locked ? 'Unlock' : 'Change passphrase';
+    vaultUnlocked.style.display = encrypted && !locked ? 'flex' : 'none';
+    vaultPassphrase.value = '';
+    vaultConfirm.value = '';
+  }
+
+  vaultForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const passphrase = vaultPassphrase.value;
+    if (!keyStatus.locked && passphrase !== vaultConfirm.value) {
+      showVaultStatus('The passphrases don\'t match.', 'error');
+      return;
+    }
+
+    vaultSubmit.disabled = true;
+    showVaultStatus(keyStatus.locked ? 'Unlocking...' : 'Encrypting...', 'loading');
+    try {
+      if (keyStatus.locked) {
+        await askBackground('briefrr-key-unlock', { passphrase });
+        showVaultStatus('✅ Unlocked until the browser closes.', 'success');
+      } else {
+        await askBackground('briefrr-key-encrypt', { passphrase });
+        showVaultStatus('✅ Keys encrypted. You\'ll enter the passphrase once per browser session.', 'success');
+      }
+      await refreshKeyDisplay();
+    } catch (err) {
+      showVaultStatus(err.message === 'WRONG_PASSPHRASE' ? '❌ Wrong passphrase.' : `❌ ${err.message}`, 'error');
+    }
+    vaultSubmit.disabled = false;
+  });
+
+  document.getElementById('btn-vault-lock').addEventListener('click', async () => {
+    await askBackground('briefrr-key-lock');
+    showVaultStatus('🔒 Locked.', 'success');
+    await refreshKeyDisplay();
+  });
+
+  document.getElementById('btn-vault-remove').addEventListener('click', async () => {
+    if (!confirm('Remove the passphrase? Your keys will be stored unencrypted again.')) return;
+    await askBackground('briefrr-key-decrypt');
+    showVaultStatus('Passphrase removed.', 'success');
+    await refreshKeyDisplay();
+  });
+
+  function showVaultStatus(msg, type) {
+    vaultStatus.textContent = msg;
+    vaultStatus.className = 'status ' + type;
+  }
+
+  await refreshKeyDisplay();
+
+  /* ── AI Provider ── */
+  const providerSelect  = document.getElementById('provider-select');
+  const baseUrlRow      = document.getElementById('provider-base-url-row');
+  const baseUrlInput    = document.getElementById('provider-base-url');
+  const providerKeyRow  = document.getElementById('provider-key-row');
+  const providerKey     = document.getElementById('provider-key');
+  const modelInput      = document.getElementById('provider-model');
+  const modelList       = document.getElementById('provider-models');
+  const providerHint    = document.getElementById('provider-hint');
+  const providerStatus  = document.getElementById('provider-status');
+  const modeModelsEl    = document.getElementById('mode-models');
+  const fallbackRow     = document.getElementById('fallback-row');
+  const fallbackInput   = document.getElementById('provider-fallbacks');
+
+  const PROVIDER_HINTS = {
+    gemini: 'Uses the Gemini API key below. The free tier allows 15 requests per minute.',
+    openai: 'Any server implementing the OpenAI /chat/completions API (OpenAI, OpenRouter, LM Studio, vLLM...).',
+    ollama: 'Runs models on your machine. If requests are refused, start Ollama with OLLAMA_ORIGINS=chrome-extension://*'
+  };
+
+  // Modes that can have their own model (custom modes are added as they're created below)
+  let modeChoices = [...(await Modes.getAll()), COMPARE_MODE];
+
+  let providerSettings = await Storage.getProviderSettings();
+  providerSelect.value = getProvider(providerSettings.provider).id;
+  renderProviderForm();
+
+  providerSelect.addEventListener('change', renderProviderForm);
+
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'local' || !changes.customModes) return;
+    modeChoices = [...(await Modes.getAll()), COMPARE_MODE];
+    renderModeModels(readModeModels());
+  });
+
+  /** Fill the provider form from the saved settings for the selected provider. */
+  function renderProviderForm() {
+    const provider = getProvider(providerSelect.value);
+    const saved = providerSettings[provider.id] || {};
+    baseUrlRow.style.display = provider.id === 'gemini' ? 'none' : 'block';
+    providerKeyRow.style.display = provider.id === 'openai' ? 'block' : 'none';
+    baseUrlInput.value = saved.baseUrl || provider.defaultBaseUrl || '';
+    // Saved keys stay in the background; leaving the field blank keeps the saved one
+    providerKey.value = '';
+    providerKey.placeholder = provider.id in keyStatus.keys
+      ? `Saved (••••${keyStatus.keys[provider.id] || '🔒'}) — paste a new key to replace it`
+      : 'Paste API key...';
+    modelInput.value = saved.model || provider.defaultModel;
+    modelList.innerHTML = '';
+    // Only quota-limited providers have per-model backoff to fall back from
+    fallbackRow.style.display = provider.rateLimited ? 'block' : 'none';
+    fallbackInput.value = (saved.fallbackModels || provider.defaultFallbackModels).join(', ');
+    renderModeModels(saved.modeModels || {});
+    providerHint.textContent = PROVIDER_HINTS[provider.id];
+    providerStatus.className = 'status';
+
+    // Gemini's model list needs no extra permission, so it's fetched right away
+    if (provider.id === 'gemini' && provider.id in keyStatus.keys && !keyStatus.locked) loadModels(true);
+  }
+
+  /**
+   * One model field per mode, suggesting the same models as the main field.
+   * @param {Object<string, string>} modeModels - Mode id → model
+   */
+  function renderModeModels(modeModels) {
+    modeModelsEl.innerHTML = '';
+    modeChoices.forEach(mode => {
+      const row = document.createElement('div');
+      row.className = 'mode-model-row';
+      row.innerHTML = `<label></label><input type="text" class="text-input" list="provider-models" autocomplete="off">`;
+      const input = row.querySelector('input');
+      input.id = `mode-model-${mode.id}`;
+      input.dataset.mode = mode.id;
+      input.value = modeModels[mode.id] || '';
+      input.placeholder = 'Same as above';
+      row.querySelector('label').htmlFor = input.id;
+      row.querySelector('label').textContent = `${mode.icon} ${mode.name}`;
+      modeModelsEl.appendChild(row);
+    });
+  }
+
+  /** The per-mode models entered in the form, without blanks. */
+  function readModeModels() {
+    const modeModels = {};
+    modeModelsEl.querySelectorAll('input').forEach(input => {
+      if (input.value.trim()) modeModels[input.dataset.mode] = input.value.trim();
+    });
+    return modeModels;
+  }
+
+  /**
+   * Read the form into a request config (see getProviderConfig). apiKey is
+   * only set when a new key was typed; otherwise the background uses the saved one.
+   */
+  function readProviderForm() {
+    const provider = getProvider(providerSelect.value);
+    return {
+      provider: provider.id,
+      apiKey: provider.id === 'openai' ? providerKey.value.trim() : '',
+      ...(provider.id !== 'gemini' && { baseUrl: baseUrlInput.value.trim().replace(/\/+$/, '') }),
+      model: modelInput.value.trim() || provider.defaultModel,
+      modeModels: readModeModels(),
+      fallbackModels: provider.rateLimited ? fallbackInput.value.split(',').map(model => model.trim()).filter(Boolean) : []
+    };
+  }
+
+  /**
+   * Ask for access to the provider's host. Must be called synchronously from a
+   * click handler — chrome.permissions.request needs the user gesture.
+   * @returns {Promise<boolean>}
+   */
+  function requestProviderHost() {
+    if (providerSelect.value === 'gemini') return Promise.resolve(true);
+    let origin;
+    try {
+      origin = getHostPermission(baseUrlInput.value.trim());
+    } catch {
+      return Promise.resolve(false);
+    }
+    return chrome.permissions.request({ origins: [origin] });
+  }
+
+  // Load the provider's model list into the model suggestions
+  document.getElementById('btn-load-models').addEventListener('click', async () => {
+    const granted = await requestProviderHost();
+    if (!granted) {
+      showProviderStatus('❌ Enter a valid base URL and allow access to it.', 'error');
+      return;
+    }
+    const config = readProviderForm();
+    const provider = getProvider(config.provider);
+    if (provider.requiresKey && !config.apiKey && !(provider.id in keyStatus.keys)) {
+      showProviderStatus('🔑 Add an API key first.', 'error');
+      return;
+    }
+    loadModels(false);
+  });
+
+  /**
+   * Fetch the provider's models from its models endpoint into the suggestions
+   * of every model field.
+   * @param {boolean} quiet - Don't report progress or errors (automatic loads)
+   */
+  async function loadModels(quiet) {
+    const config = readProviderForm();
+    if (!quiet) showProviderStatus('Loading models...', 'loading');
+    try {
+      const models = await askBackground('briefrr-provider-models', { config });
+      // The provider may have been switched while the list loaded
+      if (providerSelect.value !== config.provider) return;
+      modelList.innerHTML = '';
+      models.forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        modelList.appendChild(option);
+      });
+      if (!quiet) showProviderStatus(`✅ Found ${models.length} model${models.length !== 1 ? 's' : ''}.`, 'success');
+    } catch (err) {
+      if (!quiet) showProviderStatus(providerErrorMessage(err.message) || `❌ Couldn't load models: ${err.message}`, 'error');
+    }
+  }
+
+  // Test the provider, then save it as the active one
+  document.getElementById('btn-save-provider').addEventListener('click', async () => {
+    const granted = await requestProviderHost();
+    if (!granted) {
+      showProviderStatus('❌ Enter a valid base URL and allow access to it.', 'error');
+      return;
+    }
+    const config = readProviderForm();
+    const provider = getProvider(config.provider);
+    if (provider.requiresKey && !config.apiKey && !(provider.id in keyStatus.keys)) {
+      showProviderStatus(provider.id === 'gemini' ? '🔑 Save your Gemini API key below first.' : '🔑 Please enter an API key.', 'error');
+      return;
+    }
+
+    showProviderStatus('Testing connection...', 'loading');
+    document.getElementById('btn-save-provider').disabled = true;
+
+    let result;
+    try {
+      result = await askBackground('briefrr-provider-validate', { config });
+      // Check each mode's and fallback's model too, so a typo doesn't surface in the middle of a brief
+      for (const model of new Set([...Object.values(config.modeModels), ...config.fallbackModels])) {
+        if (!result.valid) break;
+        if (model !== config.model) result = await askBackground('briefrr-provider-validate', { config: { ...config, model } });
+      }
+      if (result.valid && config.apiKey) await askBackground('briefrr-key-set', { provider: provider.id, key: config.apiKey });
+    } catch (err) {
+      result = { valid: false, error: err.message };
+    }
+
+    if (result.valid) {
+      providerSettings = {
+        ...providerSettings,
+        provider: provider.id,
+        [provider.id]: provider.id === 'gemini'
+          ? { model: config.model, modeModels: config.modeModels, fallbackModels: config.fallbackModels }
+          : { baseUrl: config.baseUrl, model: config.model, modeModels: config.modeModels }
+      };
+      await Storage.setProviderSettings(providerSettings);
+      keyStatus = await askBackground('briefrr-key-status');
+      renderProviderForm();
+      showProviderStatus(`✅ Using ${provider.name} (${config.model}).`, 'success');
+    } else if (result.error === 'KEY_LOCKED') {
+      showProviderStatus(providerErrorMessage(result.error), 'error');
+    } else if (result.error === 'RATE_LIMITED') {
+      showProviderStatus('⏳ Rate limit hit — wait a minute and try again.', 'error');
+    } else if (result.error === 'NETWORK_ERROR') {
+      showProviderStatus('🌐 Couldn\'t reach the server — check the base URL and that it is running.', 'error');
+    } else if (result.error === 'INVALID_KEY') {
+      showProviderStatus('❌ Invalid key or model. Please try again.', 'error');
+    } else {
+      showProviderStatus(`❌ ${result.error}`, 'error');
+    }
+    document.getElementById('btn-save-provider').disabled = false;
+  });
+
+  function showProviderStatus(msg, type) {
+    providerStatus.textContent = msg;
+    providerStatus.className = 'status ' + type;
+  }
+
+  /** Message for the key errors shared by "Load models" and "Test & Save", or ''. */
+  function providerErrorMessage(code) {
+    if (code === 'INVALID_KEY') return '❌ Invalid key.';
+    if (code === 'KEY_LOCKED') return '🔒 Your keys are locked — unlock them under Passphrase Lock first.';
+    return '';
+  }
+
+  /* ── Generation ── */
+  const temperatureInput = document.getElementById('generation-temperature');
+  const temperatureValue = document.getElementById('generation-temperature-value');
+  const maxTokensInput   = document.getElementById('generation-max-tokens');
+  const generationStatus = document.getElementById('generation-status');
+
+  const generation = await Storage.getGenerationSettings();
+  temperatureInput.value = generation.temperature;
+  temperatureValue.textContent = generation.temperature;
+  maxTokensInput.value = generation.maxOutputTokens;
+
+  /** Save one generation field; the next request uses it. */
+  async function saveGeneration(changes) {
+    await Storage.setGenerationSettings({ ...(await Storage.getGenerationSettings()), ...changes });
+    generationStatus.textContent = '✅ Saved.';
+    generationStatus.className = 'status success';
+  }
+
+  temperatureInput.addEventListener('input', () => { temperatureValue.textContent = temperatureInput.value; });
+  temperatureInput.addEventListener('change', () => saveGeneration({ temperature: Number(temperatureInput.value) }));
+  maxTokensInput.addEventListener('change', () => {
+    const value = Math.round(Number(maxTokensInput.value));
+    if (!(value >= 256 && value <= 65536)) {
+      generationStatus.textContent = 'Enter a number between 256 and 65536.';
+      generationStatus.className = 'status error';
+      return;
+    }
+    saveGeneration({ maxOutputTokens: value });
+  });
+
+  /* ── API Usage ── */
+  const USAGE_CHART_DAYS = 14;
+  const usageLimitInput = document.getElementById('usage-limit');
+
+  /** Draw today's quota meter, the per-day charts and the per-mode totals. */
+  async function refreshUsage() {
+    const log = await Storage.getUsageLog();
+    const today = await Usage.getToday();
+    const days = Usage.byDay(log, USAGE_CHART_DAYS);
+
+    // Today against the Gemini quota
+    document.getElementById('usage-today-count').textContent = today.requests;
+    document.getElementById('usage-today-detail').textContent =
+      `of ${today.limit} Gemini requests today · ${today.remaining} left · ${Usage.formatCount(today.tokens)} tokens`;
+    const fill = document.getElementById('usage-meter-fill');
+    fill.style.width = `${Math.min(100, (today.requests / today.limit) * 100)}%`;
+    fill.className = 'usage-meter-fill' + (today.remaining === 0 ? ' full' : today.nearLimit ? ' warning' : '');
+    usageLimitInput.value = today.limit;
+
+    // Per-day bars, scaled to the busiest day
+    const maxRequests = Math.max(1, ...days.map(day => day.requests));
+    const maxTokens = Math.max(1, ...days.map(day => day.promptTokens + day.outputTokens));
+    const requestsChart = document.getElementById('usage-requests-chart');
+    const tokensChart = document.getElementById('usage-tokens-chart');
+    requestsChart.innerHTML = '';
+    tokensChart.innerHTML = '';
+    days.forEach(day => {
+      requestsChart.appendChild(usageBar(`${day.day}: ${day.requests} requests`, [
+        { value: day.requests / maxRequests }
+      ]));
+      tokensChart.appendChild(usageBar(
+        `${day.day}: ${Usage.formatCount(day.promptTokens)} prompt + ${Usage.formatCount(day.outputTokens)} response tokens`, [
+          { value: day.promptTokens / maxTokens },
+          { value: day.outputTokens / maxTokens, className: 'usage-output' }
+        ]));
+    });
+    document.querySelectorAll('.usage-first-day').forEach(label => { label.textContent = days[0].day; });
+
+    // Requests per mode over the charted days
+    const modeNames = Object.fromEntries([...(await Modes.getAll()), COMPARE_MODE].map(mode => [mode.id, mode.name]));
+    const perMode = {};
+    days.forEach(day => Object.entries(day.modes).forEach(([mode, count]) => {
+      perMode[mode] = (perMode[mode] || 0) + count;
+    }));
+    const modeList = document.getElementById('usage-modes');
+    modeList.innerHTML = '';
+    Object.entries(perMode).sort((a, b) => b[1] - a[1]).forEach(([mode, count]) => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      const total = document.createElement('span');
+      name.textContent = modeNames[mode] || mode;
+      total.textContent = `${count} request${count === 1 ? '' : 's'}`;
+      item.append(name, total);
+      modeList.appendChild(item);
+    });
+    if (!modeList.children.length) {
+      const item = document.createElement('li');
+      item.textContent = `No requests in the last ${USAGE_CHART_DAYS} days.`;
+      modeList.appendChild(item);
+    }
+  }
+
+  /**
+   * One column of a usage chart, stacked from the bottom.
+   * @param {string} title - Tooltip
+   * @param {Array<{ value: number, className?: string }>} segments - Heights as fractions of the chart
+   * @returns {HTMLElement}
+   */
+  function usageBar(title, segments) {
+    const bar = document.createElement('div');
+    bar.className = 'usage-bar';
+    bar.title = title;
+    segments.forEach(({ value, className }) => {
+      const segment = document.createElement('span');
+      segment.style.height = `${value * 96}px`;
+      if (className) segment.className = className;
+      bar.appendChild(segment);
+    });
+    return bar;
+  }
+
+  await refreshUsage();
+
+  usageLimitInput.addEventListener('change', async () => {
+    const limit = parseInt(usageLimitInput.value, 10);
+    if (limit > 0) await Storage.setDailyRequestLimit(limit);
+    refreshUsage();
+  });
+
+  document.getElementById('btn-clear-usage').addEventListener('click', async () => {
+    if (!confirm('Clear the usage history? Briefrr will lose track of today\'s requests, though Google still counts them.')) return;
+    await Storage.setUsageLog([]);
+    refreshUsage();
+  });
+
+  // Requests made in other tabs while Settings is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.usageLog) refreshUsage();
+  });
+
+  /* ── Gemini Rate Limits ── */
+  const limitsList = document.getElementById('limits-list');
+  const limitsStatus = document.getElementById('limits-status');
+  const LIMIT_FIELDS = ['rpm', 'rpd', 'tpm'];
+
+  /** One row per known model, plus the configured Gemini model and any with overrides. */
+  async function renderLimits() {
+    const overrides = await Storage.getRateLimitBudgets();
+    const budgets = await RateLimiter.getBudgets();
+    const settings = await Storage.getProviderSettings();
+    const models = new Set([
+      ...Object.keys(budgets),
+      settings.gemini?.model || PROVIDERS.gemini.defaultModel
+    ]);
+
+    limitsList.innerHTML = '';
+    models.forEach(model => {
+      const defaults = RateLimiter.DEFAULT_BUDGETS[model] || RateLimiter.DEFAULT_BUDGET;
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = model;
+      row.appendChild(name);
+
+      LIMIT_FIELDS.forEach(field => {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '1';
+        input.placeholder = defaults[field];
+        input.value = overrides[model]?.[field] ?? '';
+        input.addEventListener('change', () => saveLimit(model, field, parseInt(input.value, 10)));
+        cell.appendChild(input);
+        row.appendChild(cell);
+      });
+      limitsList.appendChild(row);
+    });
+  }
+
+  /**
+   * Save one budget override; an empty value goes back to the default.
+   * @param {string} model
+   * @param {'rpm'|'rpd'|'tpm'} field
+   * @param {number} value
+   */
+  async function saveLimit(model, field, value) {
+    const overrides = await Storage.getRateLimitBudgets();
+    const budget = { ...overrides[model] };
+    if (value > 0) budget[field] = value;
+    else delete budget[field];
+
+    if (Object.keys(budget).length) overrides[model] = budget;
+    else delete overrides[model];
+    await Storage.setRateLimitBudgets(overrides);
+    limitsStatus.textContent = '✅ Saved.';
+    limitsStatus.className = 'status success';
+  }
+
+  await renderLimits();
+
+  document.getElementById('btn-reset-limits').addEventListener('click', async () => {
+    await Storage.setRateLimitBudgets({});
+    await renderLimits();
+    limitsStatus.textContent = '✅ Using free-tier defaults.';
+    limitsStatus.className = 'status success';
+  });
+
+  /* ── Response Language ── */
+  const languageSelect = document.getElementById('language-select');
+  const languageStatus = document.getElementById('language-status');
+
+  RESPONSE_LANGUAGES.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = languageName(code);
+    languageSelect.appendChild(option);
+  });
+  languageSelect.value = await Storage.getResponseLanguage();
+
+  languageSelect.addEventListener('change', async () => {
+    await Storage.setResponseLanguage(languageSelect.value);
+    languageStatus.textContent = '✅ Saved.';
+    languageStatus.className = 'status success';
+  });
+
+  /* ── Drawer Appearance ── */
+  const themeSelect      = document.getElementById('appearance-theme');
+  const dockSelect       = document.getElementById('appearance-dock');
+  const fontSizeInput    = document.getElementById('appearance-font-size');
+  const fontSizeValue    = document.getElementById('appearance-font-size-value');
+  const pushCheckbox     = document.getElementById('appearance-push');
+  const widthValue       = document.getElementById('appearance-width');
+  const appearanceStatus = document.getElementById('appearance-status');
+
+  /** Show the saved appearance settings in the form. */
+  async function refreshAppearance() {
+    const appearance = await Storage.getAppearance();
+    themeSelect.value = appearance.theme;
+    dockSelect.value = appearance.dock;
+    fontSizeInput.value = appearance.fontSize;
+    fontSizeValue.textContent = `${appearance.fontSize}px`;
+    pushCheckbox.checked = appearance.pushContent;
+    widthValue.textContent = appearance.width;
+  }
+
+  /** Save one or more appearance fields; open drawers update right away. */
+  async function saveAppearance(changes) {
+    await Storage.setAppearance({ ...(await Storage.getAppearance()), ...changes });
+    await refreshAppearance();
+    appearanceStatus.textContent = '✅ Saved.';
+    appearanceStatus.className = 'status success';
+  }
+
+  await refreshAppearance();
+  themeSelect.addEventListener('change', () => saveAppearance({ theme: themeSelect.value }));
+  dockSelect.addEventListener('change', () => saveAppearance({ dock: dockSelect.value }));
+  fontSizeInput.addEventListener('input', () => { fontSizeValue.textContent = `${fontSizeInput.value}px`; });
+  fontSizeInput.addEventListener('change', () => saveAppearance({ fontSize: Number(fontSizeInput.value) }));
+  pushCheckbox.addEventListener('change', () => saveAppearance({ pushContent: pushCheckbox.checked }));
+  document.getElementById('btn-reset-width').addEventListener('click', () => saveAppearance({ width: 400 }));
+
+  // Widths dragged in a drawer while this page is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.appearance) refreshAppearance();
+  });
+
+  /* ── Custom Modes ── */
+  const modeListEl      = document.getElementById('mode-list');
+  const modeEmpty       = document.getElementById('mode-empty');
+  const modeEditor      = document.getElementById('mode-editor');
+  const modeActions     = document.getElementById('mode-actions');
+  const modeIconInput   = document.getElementById('mode-icon');
+  const modeNameInput   = document.getElementById('mode-name');
+  const modeSystemInput = document.getElementById('mode-system-prompt');
+  const modeTemplateInput = document.getElementById('mode-user-template');
+  const modeImportFile  = document.getElementById('mode-import-file');
+  const modeStatus      = document.getElementById('mode-status');
+
+  const DEFAULT_USER_TEMPLATE = `**Page Title**: {{title}}
+**Site**: {{site}}
+
+**Page Content**:
+{{content}}`;
+
+  let customModes = await Storage.getCustomModes();
+  let editingId = null; // id of the mode being edited, '' for a new one
+  renderModeList();
+
+  /** List custom modes with reorder, edit and delete buttons. */
+  function renderModeList() {
+    modeListEl.innerHTML = '';
+    customModes.forEach((mode, i) => {
+      const item = document.createElement('li');
+      item.className = 'mode-item';
+      item.innerHTML = `
+        <span class="mode-item-icon"></span>
+        <span class="mode-item-name"></span>
+        <button class="mode-up" title="Move up">↑</button>
+        <button class="mode-down" title="Move down">↓</button>
+        <button class="mode-edit">Edit</button>
+        <button class="mode-delete">Delete</button>
+      `;
+      item.querySelector('.mode-item-icon').textContent = mode.icon;
+      item.querySelector('.mode-item-name').textContent = mode.name;
+      item.querySelector('.mode-up').disabled = i === 0;
+      item.querySelector('.mode-down').disabled = i === customModes.length - 1;
+      item.querySelector('.mode-up').addEventListener('click', () => moveMode(i, -1));
+      item.querySelector('.mode-down').addEventListener('click', () => moveMode(i, 1));
+      item.querySelector('.mode-edit').addEventListener('click', () => openModeEditor(mode));
+      item.querySelector('.mode-delete').addEventListener('click', () => deleteMode(mode));
+      modeListEl.appendChild(item);
+    });
+    modeEmpty.style.display = customModes.length ? 'none' : 'block';
+  }
+
+  async function saveModes(modes) {
+    customModes = modes;
+    await Storage.setCustomModes(modes);
+    renderModeList();
+  }
+
+  function moveMode(index, offset) {
+    const modes = [...customModes];
+    const [mode] = modes.splice(index, 1);
+    modes.splice(index + offset, 0, mode);
+    saveModes(modes);
+  }
+
+  async function deleteMode(mode) {
+    if (!confirm(`Delete the "${mode.name}" mode? Summaries already saved with it are kept.`)) return;
+    await saveModes(customModes.filter(m => m.id !== mode.id));
+    if (editingId === mode.id) closeModeEditor();
+  }
+
+  /** Open the editor for an existing mode, or a blank one when mode is null. */
+  function openModeEditor(mode) {
+    editingId = mode ? mode.id : '';
+    modeIconInput.value = mode ? mode.icon : '';
+    modeNameInput.value = mode ? mode.name : '';
+    modeSystemInput.value = mode ? mode.systemPrompt : '';
+    modeTemplateInput.value = mode ? mode.userTemplate : DEFAULT_USER_TEMPLATE;
+    modeEditor.style.display = 'block';
+    modeActions.style.display = 'none';
+    modeStatus.className = 'status';
+    modeNameInput.focus();
+  }
+
+  function closeModeEditor() {
+    editingId = null;
+    modeEditor.style.display = 'none';
+    modeActions.style.display = 'flex';
+  }
+
+  document.getElementById('btn-add-mode').addEventListener('click', () => {
+    if (customModes.length >= Modes.MAX_CUSTOM_MODES) {
+      showModeStatus(`❌ You can have up to ${Modes.MAX_CUSTOM_MODES} custom modes.`, 'error');
+      return;
+    }
+    openModeEditor(null);
+  });
+  document.getElementById('btn-cancel-mode').addEventListener('click', closeModeEditor);
+
+  document.getElementById('btn-save-mode').addEventListener('click', async () => {
+    const fields = {
+      name: modeNameInput.value,
+      icon: modeIconInput.value,
+      systemPrompt: modeSystemInput.value,
+      userTemplate: modeTemplateInput.value
+    };
+    const duplicate = customModes.some(m => m.id !== editingId && m.name.toLowerCase() === fields.name.trim().toLowerCase());
+    const error = Modes.validate(fields) || (duplicate ? 'A custom mode with this name already exists.' : '');
+    if (error) {
+      showModeStatus(`❌ ${error}`, 'error');
+      return;
+    }
+
+    const saved = Modes.create(fields);
+    if (editingId) {
+      await saveModes(customModes.map(m => m.id === editingId ? { ...saved, id: editingId } : m));
+    } else {
+      await saveModes([...customModes, saved]);
+    }
+    closeModeEditor();
+    showModeStatus(`✅ "${saved.name}" saved.`, 'success');
+  });
+
+  // Mode packs — share custom modes as JSON files
+  document.getElementById('btn-export-modes').addEventListener('click', () => {
+    if (!customModes.length) {
+      showModeStatus('❌ There are no custom modes to export.', 'error');
+      return;
+    }
+    Exporter.download('briefrr-modes.json', Modes.toPack(customModes), 'application/json');
+  });
+
+  document.getElementById('btn-import-modes').addEventListener('click', () => modeImportFile.click());
+  modeImportFile.addEventListener('change', async () => {
+    const file = modeImportFile.files[0];
+    modeImportFile.value = '';
+    if (!file) return;
+
+    try {
+      const imported = Modes.fromPack(await file.text());
+      const names = new Set(customModes.map(m => m.name.toLowerCase()));
+      const added = imported.filter(m => !names.has(m.name.toLowerCase()));
+      if (customModes.length + added.length > Modes.MAX_CUSTOM_MODES) {
+        throw new Error(`You can have up to ${Modes.MAX_CUSTOM_MODES} custom modes.`);
+      }
+      await saveModes([...customModes, ...added]);
+      const skipped = imported.length - added.length;
+      showModeStatus(`✅ Imported ${added.length} mode${added.length === 1 ? '' : 's'}` +
+        (skipped ? ` (${skipped} skipped — same name as an existing mode).` : '.'), 'success');
+    } catch (error) {
+      showModeStatus(`❌ ${error.message}`, 'error');
+    }
+  });
+
+  function showModeStatus(msg, type) {
+    modeStatus.textContent = msg;
+    modeStatus.className = 'status ' + type;
+  }
+
+  /* ── Auto-Brief ── */
+  const autoBriefListEl = document.getElementById('auto-brief-list');
+  const autoBriefEmpty  = document.getElementById('auto-brief-empty');
+  const autoBriefDomain = document.getElementById('auto-brief-domain');
+  const autoBriefMode   = document.getElementById('auto-brief-mode');
+  const autoBriefStatus = document.getElementById('auto-brief-status');
+
+  let autoBriefRules = await Storage.getAutoBriefRules();
+  let autoBriefModes = [];
+  await renderAutoBriefRules();
+
+  /**
+   * Fill a select with the modes a rule can run.
+   * @param {HTMLSelectElement} select
+   * @param {string} selected - Mode id
+   */
+  function fillAutoBriefModes(select, selected) {
+    select.innerHTML = '';
+    autoBriefModes.forEach(mode => {
+      const option = document.createElement('option');
+      option.value = mode.id;
+      option.textContent = `${mode.icon} ${mode.name}`;
+      select.appendChild(option);
+    });
+    select.value = selected;
+  }
+
+  /** List the rules, each with its mode picker and a delete button. */
+  async function renderAutoBriefRules() {
+    autoBriefModes = (await Modes.getAll()).filter(mode => AutoBrief.canAutoRun(mode));
+    fillAutoBriefModes(autoBriefMode, autoBriefMode.value);
+    if (!autoBriefMode.value) autoBriefMode.value = 'highlights';
+
+    autoBriefListEl.innerHTML = '';
+    autoBriefRules.forEach((rule, i) => {
+      const item = document.createElement('li');
+      item.className = 'mode-item';
+      item.innerHTML = `
+        <span class="mode-item-name"></span>
+        <select class="text-input auto-brief-rule-mode"></select>
+        <button class="mode-delete">Delete</button>
+      `;
+      item.querySelector('.mode-item-name').textContent = rule.domain;
+      const select = item.querySelector('select');
+      fillAutoBriefModes(select, rule.mode);
+      // The rule's custom mode was deleted — such rules don't run until another mode is picked
+      if (!select.value) select.insertAdjacentHTML('afterbegin', '<option value="" selected>Deleted mode</option>');
+      select.addEventListener('change', () => {
+        saveAutoBriefRules(autoBriefRules.map((r, j) => j === i ? { ...r, mode: select.value } : r));
+      });
+      item.querySelector('.mode-delete').addEventListener('click', () => {
+        saveAutoBriefRules(autoBriefRules.filter((r, j) => j !== i));
+      });
+      autoBriefListEl.appendChild(item);
+    });
+    autoBriefEmpty.style.display = autoBriefRules.length ? 'none' : 'block';
+  }
+
+  async function saveAutoBriefRules(rules) {
+    autoBriefRules = rules;
+    await Storage.setAutoBriefRules(rules);
+    await renderAutoBriefRules();
+    autoBriefStatus.textContent = '✅ Saved.';
+    autoBriefStatus.className = 'status success';
+  }
+
+  async function addAutoBriefRule() {
+    const rule = { domain: AutoBrief.normalizeDomain(autoBriefDomain.value), mode: autoBriefMode.value };
+    const error = AutoBrief.validate(rule, autoBriefRules);
+    if (error) {
+      autoBriefStatus.textContent = `❌ ${error}`;
+      autoBriefStatus.className = 'status error';
+      return;
+    }
+    await saveAutoBriefRules([...autoBriefRules, rule]);
+    autoBriefDomain.value = '';
+  }
+
+  document.getElementById('btn-add-auto-brief').addEventListener('click', addAutoBriefRule);
+  autoBriefDomain.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addAutoBriefRule();
+  });
+
+  // Custom modes added, renamed or deleted above
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.customModes) renderAutoBriefRules();
+  });
+
+  /* ── Keyboard Shortcuts ── */
+  const commandList = document.getElementById('command-list');
+  const commands = await chrome.commands.getAll();
+
+  commands
+    .filter(command => command.description)
+    .forEach(command => {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      const keys = document.createElement('td');
+      name.textContent = command.description;
+      if (command.shortcut) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = command.shortcut;
+        keys.appendChild(kbd);
+      } else {
+        keys.textContent = 'Not set';
+      }
+      row.append(name, keys);
+      commandList.appendChild(row);
+    });
+
+  // Chrome only lets users edit extension shortcuts on its own page
+  document.getElementById('btn-edit-shortcuts').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
 })();
@@ -1,22 +1,64 @@
 /**
- * Popup Logic — Shows mode selector or setup prompt based on API key status.
+ * Popup Logic — Shows mode selector, setup prompt or passphrase unlock based on API key status.
  */
 (async function () {
   const setupView = document.getElementById('setup-view');
   const readyView = document.getElementById('ready-view');
 
-  const apiKey = await Storage.getApiKey();
+  // Only the background reads keys; it reports which providers have one
+  let keyStatus;
+  try {
+    keyStatus = await askBackground('briefrr-key-status');
+  } catch (err) {
+    // e.g. the service worker is still starting up
+    document.getElementById('error-msg').textContent = `❌ Couldn't check your API key: ${err.message}`;
+    document.getElementById('error-view').style.display = 'block';
+    document.getElementById('btn-retry').addEventListener('click', () => location.reload());
+    return;
+  }
+  const provider = getProvider(keyStatus.provider);
 
-  if (!apiKey) {
-    // No API key — show setup prompt
+  if (provider.requiresKey && !(provider.id in keyStatus.keys)) {
+    // No API key — show setup prompt (Gemini has onboarding, other providers live in Settings)
     setupView.style.display = 'block';
     document.getElementById('btn-open-onboarding').addEventListener('click', () => {
-      chrome.tabs.create({ url: chrome.runtime.getURL('onboarding.html') });
+      if (provider.id === 'gemini') {
+        chrome.tabs.create({ url: chrome.runtime.getURL('onboarding.html') });
+      } else {
+        chrome.runtime.openOptionsPage();
+      }
       window.close();
     });
     return;
   }
 
+  if (provider.requiresKey && keyStatus.locked) {
+    const lockedView = document.getElementById('locked-view');
+    const passphrase = document.getElementById('unlock-passphrase');
+    lockedView.style.display = 'block';
+    passphrase.focus();
+
+    await new Promise((resolve) => {
+      document.getElementById('unlock-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const unlockBtn = document.getElementById('btn-unlock');
+        unlockBtn.disabled = true;
+        unlockBtn.textContent = 'Unlocking...';
+        try {
+          await askBackground('briefrr-key-unlock', { passphrase: passphrase.value });
+          lockedView.style.display = 'none';
+          resolve();
+        } catch (err) {
+          document.getElementById('unlock-error').textContent =
+            err.message === 'WRONG_PASSPHRASE' ? 'Wrong passphrase. Try again.' : err.message;
+          passphrase.select();
+        }
+        unlockBtn.disabled = false;
+        unlockBtn.textContent = 'Unlock';
+      });
+    });
+  }
+
   // API key exists — show mode selector
   readyView.style.display = 'block';
 
@@ -32,29 +74,131 @@
     badge.textContent = 'Processing...';
     badge.classList.add('processing');
 
-    // Content scripts are auto-injected on all URLs via manifest.json.
-    // Just send the message directly. If the tab was open before install,
-    // sendMessage will fail — we catch that and inject once as a fallback.
-    try {
-      await chrome.tabs.sendMessage(tab.id, { action: 'briefrr-run', mode });
-    } catch {
-      // Content script not yet on this tab — inject once, then retry
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['libs/Readability.js', 'utils/storage.js', 'utils/content-extractor.js', 'utils/gemini-api.js', 'content.js']
-        });
-        await chrome.tabs.sendMessage(tab.id, { action: 'briefrr-run', mode });
-      } catch {
-        // Injection not possible on this page (e.g. chrome:// URLs)
-      }
-    }
+    // The background relays to the active tab's content script, injecting it
+    // first if the tab was open before install (fails silently on chrome:// URLs)
+    await chrome.runtime.sendMessage({ action: 'briefrr-run', mode });
 
     setTimeout(() => window.close(), 150);
   }
 
   document.getElementById('btn-highlights').addEventListener('click', () => triggerMode('highlights'));
   document.getElementById('btn-explain').addEventListener('click', () => triggerMode('explain'));
+  document.getElementById('btn-extract').addEventListener('click', () => triggerMode('extract'));
+
+  // Custom modes — one card each, below the built-in ones
+  const allModes = await Modes.getAll();
+  const customModes = allModes.filter(mode => !mode.builtin);
+  if (customModes.length) {
+    const container = document.getElementById('custom-modes');
+    customModes.forEach(mode => {
+      const card = document.createElement('button');
+      card.className = 'mode-card';
+      card.innerHTML = `
+        <span class="mode-icon"></span>
+        <div class="mode-info">
+          <span class="mode-name"></span>
+          <span class="mode-desc"></span>
+        </div>
+      `;
+      card.querySelector('.mode-icon').textContent = mode.icon;
+      card.querySelector('.mode-name').textContent = mode.name;
+      card.querySelector('.mode-desc').textContent = mode.description;
+      card.addEventListener('click', () => triggerMode(mode.id));
+      container.appendChild(card);
+    });
+    container.style.display = 'flex';
+  }
+
+  // Compare tabs — listing other tabs' titles needs the optional "tabs"
+  // permission, which must be requested straight from the click
+  const compareView = document.getElementById('compare-view');
+  const tabList = document.getElementById('tab-list');
+  const runCompareBtn = document.getElementById('btn-run-compare');
+
+  document.getElementById('btn-compare').addEventListener('click', () => {
+    chrome.permissions.request({ permissions: ['tabs'] }).then(granted => {
+      if (granted) showCompareView();
+    });
+  });
+
+  document.getElementById('btn-compare-back').addEventListener('click', () => {
+    compareView.style.display = 'none';
+    readyView.style.display = 'block';
+  });
+
+  /** List this window's web pages with checkboxes; the current tab starts checked. */
+  async function showCompareView() {
+    const tabs = (await chrome.tabs.query({ currentWindow: true }))
+      .filter(t => /^(https?|file):/.test(t.url || ''));
+
+    document.getElementById('compare-hint').textContent =
+      `Pick 2–${MAX_COMPARE_TABS} tabs to compare side by side.`;
+    tabList.innerHTML = '';
+    tabs.forEach(t => {
+      const item = document.createElement('li');
+      item.innerHTML = `<label class="tab-item"><input type="checkbox"><img alt=""><span class="tab-title"></span></label>`;
+      const checkbox = item.querySelector('input');
+      checkbox.value = t.id;
+      checkbox.checked = t.id === tab?.id;
+      item.querySelector('img').src = t.favIconUrl || 'icons/icon16.png';
+      item.querySelector('.tab-title').textContent = t.title || t.url;
+      item.title = t.url;
+      tabList.appendChild(item);
+    });
+
+    updateCompareButton();
+    readyView.style.display = 'none';
+    compareView.style.display = 'block';
+  }
+
+  function selectedTabIds() {
+    return Array.from(tabList.querySelectorAll('input:checked')).map(input => Number(input.value));
+  }
+
+  function updateCompareButton() {
+    const count = selectedTabIds().length;
+    runCompareBtn.disabled = count < 2 || count > MAX_COMPARE_TABS;
+    runCompareBtn.textContent = count > MAX_COMPARE_TABS
+      ? `Pick at most ${MAX_COMPARE_TABS} tabs`
+      : `Compare ${count} tab${count === 1 ? '' : 's'}`;
+  }
+
+  tabList.addEventListener('change', updateCompareButton);
+
+  runCompareBtn.addEventListener('click', async () => {
+    runCompareBtn.disabled = true;
+    runCompareBtn.textContent = 'Reading tabs...';
+    // The background extracts each tab and shows the result in this tab's drawer
+    chrome.runtime.sendMessage({ action: 'briefrr-compare', tabIds: selectedTabIds(), targetTabId: tab.id });
+    setTimeout(() => window.close(), 150);
+  });
+
+  // Recent summaries — click to reopen the page
+  const recent = await Library.recent(5);
+  if (recent.length) {
+    const list = document.getElementById('recent-list');
+    const modeIcons = Object.fromEntries([...allModes, COMPARE_MODE].map(mode => [mode.id, mode.icon]));
+    recent.forEach(entry => {
+      const item = document.createElement('li');
+      const link = document.createElement('button');
+      link.className = 'recent-item';
+      link.title = entry.url;
+      link.textContent = `${modeIcons[entry.mode] || '📄'} ${entry.title || entry.url}`;
+      link.addEventListener('click', () => {
+        chrome.tabs.create({ url: entry.url });
+        window.close();
+      });
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    document.getElementById('recent').style.display = 'block';
+  }
+
+  // Library button
+  document.getElementById('btn-library').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+    window.close();
+  });
 
   // Settings button
   document.getElementById('btn-settings').addEventListener('click', () => {
@@ -0,0 +1,68 @@
+/**
+ * Auto-Brief — The sites Briefrr briefs by itself as their pages load.
+ *
+ * A rule is { domain, mode }: pages on the domain or any of its subdomains
+ * run the mode once loaded, and the drawer waits as a collapsed tab at the
+ * edge of the window instead of sliding open (see content.js). Rules are
+ * edited in Settings and stored as 'autoBriefRules'.
+ */
+
+const AutoBrief = {
+  MAX_RULES: 50,
+
+  // How long a page gets to settle (late-loading content, redirects) before it's briefed
+  DELAY_MS: 1500,
+
+  /**
+   * Whether a mode can run without being asked: every mode but Search, which
+   * needs a question.
+   * @param {Object} mode - From Modes.getAll()
+   * @returns {boolean}
+   */
+  canAutoRun(mode) {
+    return mode.id !== 'search';
+  },
+
+  /**
+   * Turn what a user typed (a domain, a URL, or "*.example.com") into the
+   * bare lowercase domain a rule stores.
+   * @param {string} input
+   * @returns {string} The domain, or '' when it isn't one
+   */
+  normalizeDomain(input) {
+    const domain = String(input).trim().toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+      .replace(/[/?#].*$/, '')
+      .replace(/:\d+$/, '')
+      .replace(/^\*\./, '')
+      .replace(/\.$/, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain) ? domain : '';
+  },
+
+  /**
+   * The rule for a page's hostname: the most specific matching domain, so
+   * "wiki.example.com" can run another mode than the rest of "example.com".
+   * @param {Array<{ domain: string, mode: string }>} rules
+   * @param {string} hostname - e.g. location.hostname
+   * @returns {{ domain: string, mode: string }|null}
+   */
+  findRule(rules, hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    return rules
+      .filter(rule => host === rule.domain || host.endsWith(`.${rule.domain}`))
+      .sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+  },
+
+  /**
+   * Check a rule before it's added.
+   * @param {{ domain: string, mode: string }} rule - domain already normalized
+   * @param {Array<{ domain: string, mode: string }>} rules - The existing rules
+   * @returns {string|null} What's wrong with it, or null when it's fine
+   */
+  validate(rule, rules) {
+    if (!rule.domain) return 'Enter a domain, e.g. news.ycombinator.com.';
+    if (rules.some(existing => existing.domain === rule.domain)) return `${rule.domain} already has a rule.`;
+    if (rules.length >= this.MAX_RULES) return `You can auto-brief up to ${this.MAX_RULES} sites.`;
+    return null;
+  }
+};
@@ -4,10 +4,47 @@
  */
 
 const MAX_CONTENT_LENGTH = 50000; // Cap content at ~50k characters
+const MAX_SECTIONS = 10;          // Section notes merged in one request; more are condensed in batches first
+const MAX_COMPARE_LENGTH = 80000; // Combined content cap when comparing tabs
+const MAX_LINKS = 100;            // Links kept per page, for Extract mode
+
+// Scripts that identify a language on their own, checked in order (kana before Han)
+const SCRIPT_LANGUAGES = [
+  ['ja', /[\u3040-\u30ff]/g],
+  ['ko', /[\uac00-\ud7af]/g],
+  ['zh', /[\u4e00-\u9fff]/g],
+  ['ru', /[\u0400-\u04ff]/g],
+  ['ar', /[\u0600-\u06ff]/g],
+  ['he', /[\u0590-\u05ff]/g],
+  ['el', /[\u0370-\u03ff]/g],
+  ['hi', /[\u0900-\u097f]/g],
+  ['th', /[\u0e00-\u0e7f]/g]
+];
+
+// Common words that tell Latin-script languages apart
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'that', 'with', 'for'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'auf'],
+  fr: ['le', 'les', 'des', 'est', 'une', 'et', 'dans', 'pour'],
+  es: ['el', 'los', 'las', 'del', 'por', 'una', 'y', 'con'],
+  pt: ['não', 'uma', 'com', 'para', 'os', 'do', 'da', 'em'],
+  it: ['il', 'che', 'della', 'per', 'non', 'gli', 'sono', 'è'],
+  nl: ['het', 'een', 'van', 'niet', 'en', 'op', 'zijn', 'voor']
+};
+
+// Block elements that hold a single passage of text
+const PASSAGE_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th, dd, dt, figcaption';
 
 /**
  * Extract meaningful text content from the current page.
- * @returns {{ title: string, content: string, excerpt: string, siteName: string, length: number }}
+ * The text is split into passages, each prefixed with a citation marker
+ * ("[12] ...") that prompts ask the model to cite; `paragraphs[n - 1]` holds
+ * the plain text of passage n so the drawer can find it on the page.
+ * `content` is capped at MAX_CONTENT_LENGTH; `fullContent` keeps the whole text
+ * for section-by-section summarization of long pages.
+ * `language` is the page's language code (e.g. "de"), or '' when unknown.
+ * `links` are the content's links (the whole page's, when Readability fails).
+ * @returns {{ title: string, content: string, fullContent: string, paragraphs: string[], excerpt: string, siteName: string, language: string, length: number, links: Array<{ text: string, url: string }> }}
  */
 function extractContent() {
   try {
@@ -17,25 +54,204 @@ function extractContent() {
     const article = reader.parse();
 
     if (article && article.textContent && article.textContent.trim().length > 100) {
-      return {
-        title: article.title || document.title,
-        content: article.textContent.substring(0, MAX_CONTENT_LENGTH),
+      let paragraphs = splitPassages(article.content);
+      // Pages that keep their text outside block elements: fall back to lines
+      if (paragraphs.join('').length < article.textContent.trim().length / 2) {
+        paragraphs = splitLines(article.textContent);
+      }
+      return buildArticle(article.title || document.title, paragraphs, {
         excerpt: article.excerpt || '',
         siteName: article.siteName || window.location.hostname,
-        length: article.textContent.length
-      };
+        language: article.lang || document.documentElement.lang,
+        links: collectLinks(new DOMParser().parseFromString(article.content || '', 'text/html').body)
+      });
     }
   } catch (err) {
     console.warn('[Briefrr] Readability failed, using fallback:', err.message);
   }
 
   // Fallback: grab body text directly
-  const bodyText = document.body.innerText || '';
+  return buildArticle(document.title, splitLines(document.body.innerText || ''), {
+    excerpt: '',
+    siteName: window.location.hostname,
+    language: document.documentElement.lang,
+    links: collectLinks(document.body)
+  });
+}
+
+/**
+ * Number passages and assemble the article object.
+ * @param {string} title
+ * @param {string[]} paragraphs
+ * @param {{ excerpt: string, siteName: string, language?: string, links?: Array<{ text: string, url: string }> }} meta - language
+ *   is the declared page language, if any
+ */
+function buildArticle(title, paragraphs, { excerpt, siteName, language = '', links = [] }) {
+  const fullContent = paragraphs.map((text, i) => `[${i + 1}] ${text}`).join('\n');
+  return {
+    title,
+    content: fullContent.substring(0, MAX_CONTENT_LENGTH),
+    fullContent,
+    paragraphs,
+    excerpt,
+    siteName,
+    language: detectLanguage(fullContent, language),
+    length: fullContent.length,
+    links
+  };
+}
+
+/**
+ * The distinct http(s) links under an element, with their text.
+ * @param {Element} root
+ * @returns {Array<{ text: string, url: string }>} At most MAX_LINKS
+ */
+function collectLinks(root) {
+  const links = new Map();
+  for (const anchor of root.querySelectorAll('a[href]')) {
+    let url;
+    try {
+      url = new URL(anchor.getAttribute('href'), location.href);
+    } catch {
+      continue;
+    }
+    const text = normalizeText(anchor.textContent);
+    // In-page anchors and links without text say nothing about where they lead
+    if (!/^https?:$/.test(url.protocol) || !text || (url.hash && url.href.split('#')[0] === location.href.split('#')[0])) continue;
+    url.hash = '';
+    if (!links.has(url.href)) links.set(url.href, { text: text.slice(0, 100), url: url.href });
+    if (links.size >= MAX_LINKS) break;
+  }
+  return [...links.values()];
+}
+
+/**
+ * Collect the text of the innermost passage elements in an HTML fragment.
+ * @param {string} html
+ * @returns {string[]}
+ */
+function splitPassages(html) {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  return Array.from(doc.body.querySelectorAll(PASSAGE_SELECTOR))
+    .filter(el => !el.querySelector(PASSAGE_SELECTOR))
+    .map(el => normalizeText(el.textContent))
+    .filter(Boolean);
+}
+
+/**
+ * Split plain text into non-empty, whitespace-normalized lines.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  return text.split(/\n+/).map(normalizeText).filter(Boolean);
+}
+
+/**
+ * Guess the language of some text: the declared language (e.g. <html lang>)
+ * when given, else by script (Japanese, Cyrillic...) or common words.
+ * @param {string} text
+ * @param {string} declared - A BCP 47 tag such as "pt-BR", or ''
+ * @returns {string} Primary language code (e.g. "pt"), or '' when unknown
+ */
+function detectLanguage(text, declared = '') {
+  const code = (declared || '').trim().toLowerCase().split(/[-_]/)[0];
+  if (/^[a-z]{2,3}$/.test(code)) return code;
+
+  const sample = text.slice(0, 3000).replace(/\[\d+\]|\s+/g, '');
+  for (const [language, pattern] of SCRIPT_LANGUAGES) {
+    if ((sample.match(pattern) || []).length > sample.length * 0.15) return language;
+  }
+
+  const words = text.slice(0, 3000).toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.entries(STOPWORDS).map(([language, stopwords]) =>
+    [language, words.filter(word => stopwords.includes(word)).length]);
+  const [best, score] = scores.sort((a, b) => b[1] - a[1])[0];
+  return score >= Math.max(3, words.length * 0.05) ? best : '';
+}
+
+/** Collapse runs of whitespace. */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find the element on the live page that contains a passage, for citation links.
+ * Prefers passage elements whose text includes the passage's opening words, then
+ * falls back to the first text node that does.
+ * @param {string} passage - Plain passage text (from article.paragraphs)
+ * @param {Element} [exclude] - Subtree to skip (the drawer host)
+ * @returns {Element|null}
+ */
+function findSourceElement(passage, exclude) {
+  const needle = normalizeText(passage).slice(0, 80);
+  if (!needle) return null;
+
+  for (const el of document.body.querySelectorAll(PASSAGE_SELECTOR)) {
+    if (exclude && exclude.contains(el)) continue;
+    if (normalizeText(el.textContent).includes(needle)) return el;
+  }
+
+  const opening = needle.slice(0, 30);
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (exclude && exclude.contains(node)) continue;
+    if (normalizeText(node.textContent).includes(opening)) return node.parentElement;
+  }
+  return null;
+}
+
+/**
+ * Wrap a text selection in the same shape extractContent() returns.
+ * @param {string} text - The selected passage
+ * Selections are short and already quoted in the drawer, so they aren't split into cited passages.
+ * @returns {{ title: string, content: string, fullContent: string, paragraphs: string[], excerpt: string, siteName: string, length: number, isSelection: true }}
+ */
+function buildSelectionArticle(text) {
   return {
     title: document.title,
-    content: bodyText.substring(0, MAX_CONTENT_LENGTH),
+    content: text.substring(0, MAX_CONTENT_LENGTH),
+    fullContent: text,
+    paragraphs: [],
     excerpt: '',
     siteName: window.location.hostname,
-    length: bodyText.length
+    language: detectLanguage(text, document.documentElement.lang),
+    length: text.length,
+    isSelection: true
   };
 }
+
+/**
+ * Split long text into sections of at most `maxLength` characters, breaking on
+ * paragraph (line) boundaries so no section starts mid-thought.
+ * A single paragraph longer than `maxLength` is cut at the last sentence end.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+function splitIntoSections(text, maxLength = MAX_CONTENT_LENGTH) {
+  const paragraphs = text.split(/\n+/).map(p => p.trim()).filter(Boolean);
+  const sections = [];
+  let current = '';
+
+  for (let paragraph of paragraphs) {
+    // Break oversized paragraphs at sentence boundaries
+    while (paragraph.length > maxLength) {
+      const cut = paragraph.lastIndexOf('. ', maxLength);
+      const end = cut > maxLength / 2 ? cut + 1 : maxLength;
+      if (current) { sections.push(current); current = ''; }
+      sections.push(paragraph.slice(0, end).trim());
+      paragraph = paragraph.slice(end).trim();
+    }
+
+    if (current && current.length + paragraph.length + 1 > maxLength) {
+      sections.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${paragraph}` : paragraph;
+  }
+  if (current) sections.push(current);
+
+  return sections;
+}
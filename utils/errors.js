@@ -0,0 +1,74 @@
+/**
+ * Errors — The typed errors a request can fail with, shared by the providers,
+ * the background and the drawer.
+ *
+ * Providers throw errors made by createError(); the background sends them
+ * over the streaming port as plain objects (serializeError — Error objects
+ * don't survive postMessage) and the drawer rebuilds them (deserializeError)
+ * and shows the state that matches their `code`.
+ */
+
+const ERROR_CODES = {
+  MISSING_KEY: 'MISSING_KEY',           // The provider needs a key and none is saved
+  KEY_LOCKED: 'KEY_LOCKED',             // The keys are encrypted and not unlocked this session
+  INVALID_KEY: 'INVALID_KEY',           // The provider rejected the key (mistyped, revoked or restricted)
+  RATE_LIMITED: 'RATE_LIMITED',         // Too many requests for now; retryAfterMs says when to retry
+  QUOTA_EXHAUSTED: 'QUOTA_EXHAUSTED',   // The model's daily quota is used up
+  OVERLOADED: 'OVERLOADED',             // The model is overloaded or failing (5xx); retryAfterMs as above
+  NETWORK_ERROR: 'NETWORK_ERROR',       // The provider couldn't be reached
+  BLOCKED: 'BLOCKED',                   // The prompt or response was blocked; `reason` says why (SAFETY, RECITATION...)
+  UNKNOWN: 'UNKNOWN'
+};
+
+// Errors that another model may not hit, so the background can retry them down the fallback chain
+const FALLBACK_ERROR_CODES = [ERROR_CODES.RATE_LIMITED, ERROR_CODES.QUOTA_EXHAUSTED, ERROR_CODES.OVERLOADED];
+
+/**
+ * Create a typed error.
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} [message] - Shown to the user where the drawer has no better text
+ * @param {{ retryAfterMs?: number, model?: string, reason?: string }} [details]
+ * @returns {Error & { code: string }}
+ */
+function createError(code, message = '', details = {}) {
+  const error = new Error(message || code);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Give any error a code: typed errors keep theirs, errors thrown with a bare
+ * code as their message (e.g. KeyVault's 'KEY_LOCKED') get that code, and
+ * failed fetches become NETWORK_ERROR.
+ * @param {Error} error
+ * @returns {Error & { code: string }}
+ */
+function toTypedError(error) {
+  if (error?.code && ERROR_CODES[error.code]) return error;
+  const message = error?.message || String(error);
+  if (ERROR_CODES[message]) return createError(message);
+  if (error instanceof TypeError || /Failed to fetch|NetworkError/.test(message)) {
+    return createError(ERROR_CODES.NETWORK_ERROR, message);
+  }
+  return createError(ERROR_CODES.UNKNOWN, message);
+}
+
+/**
+ * Turn an error into a plain object that can be posted to a port.
+ * @param {Error} error
+ * @returns {{ code: string, message: string, retryAfterMs?: number, model?: string, reason?: string }}
+ */
+function serializeError(error) {
+  const { code, message, retryAfterMs, model, reason } = toTypedError(error);
+  return { code, message, retryAfterMs, model, reason };
+}
+
+/**
+ * Rebuild a typed error from serializeError()'s object.
+ * @param {{ code: string, message: string }} payload
+ * @returns {Error & { code: string }}
+ */
+function deserializeError({ code, message, ...details }) {
+  return createError(ERROR_CODES[code] ? code : ERROR_CODES.UNKNOWN, message, details);
+}
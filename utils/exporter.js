@@ -0,0 +1,187 @@
+/**
+ * Exporter — Turns a generated brief into Markdown, HTML, plain text or an
+ * Obsidian/Notion-friendly note, and copies or downloads it.
+ *
+ * An export entry is { title, url, mode, modeName?, createdAt, markdown }; modeName
+ * is set for custom modes.
+ */
+
+const MODE_LABELS = {
+  highlights: 'Highlights',
+  explain: 'Explain',
+  search: 'Search',
+  extract: 'Extract',
+  compare: 'Compare'
+};
+
+const Exporter = {
+  /**
+   * Markdown with YAML front matter (title, URL, mode, timestamp).
+   * @param {{ title: string, url: string, mode: string, createdAt: number, markdown: string }} entry
+   * @returns {string}
+   */
+  toMarkdown(entry) {
+    return `${this.frontMatter({
+      title: entry.title,
+      url: entry.url,
+      mode: this.modeLabel(entry),
+      date: new Date(entry.createdAt).toISOString()
+    })}
+
+# ${entry.title}
+
+${entry.markdown.trim()}
+`;
+  },
+
+  /**
+   * Note for Obsidian or Notion: properties they recognize (source, created, tags)
+   * and no citation markers, which mean nothing outside the page.
+   * @param {{ title: string, url: string, mode: string, createdAt: number, markdown: string }} entry
+   * @returns {string}
+   */
+  toNote(entry) {
+    return `${this.frontMatter({
+      title: entry.title,
+      source: entry.url,
+      created: new Date(entry.createdAt).toISOString().slice(0, 10),
+      tags: ['briefrr', entry.mode]
+    })}
+
+# ${entry.title}
+
+> Source: [${entry.title.replace(/[[\]]/g, '')}](${entry.url})
+
+${this.stripCitations(entry.markdown).trim()}
+`;
+  },
+
+  /**
+   * Plain text: a short header, then the Markdown with its syntax removed.
+   * @param {{ title: string, url: string, mode: string, createdAt: number, markdown: string }} entry
+   * @returns {string}
+   */
+  toPlainText(entry) {
+    const text = this.stripCitations(entry.markdown)
+      .replace(/```\w*\n([\s\S]*?)```/g, '$1')
+      .replace(/^#{1,6}\s+/gm, '')
+      .replace(/^(\s*)[-*]\s+/gm, '$1• ')
+      .replace(/\*\*(.+?)\*\*/g, '$1')
+      .replace(/\*(.+?)\*/g, '$1')
+      .replace(/`(.+?)`/g, '$1')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)');
+
+    return `${entry.title}
+${entry.url}
+${this.modeLabel(entry)} · ${new Date(entry.createdAt).toLocaleString()}
+
+${text.trim()}
+`;
+  },
+
+  /**
+   * Standalone HTML document around an already-rendered body.
+   * @param {{ title: string, url: string, mode: string, createdAt: number }} entry
+   * @param {string} bodyHtml - The brief rendered by the drawer's Markdown renderer
+   * @returns {string}
+   */
+  toHtml(entry, bodyHtml) {
+    const title = Markdown.escape(entry.title);
+    const url = Markdown.escape(entry.url);
+    const date = new Date(entry.createdAt).toISOString();
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  <meta name="source" content="${url}">
+  <meta name="briefrr-mode" content="${Markdown.escape(entry.mode)}">
+  <meta name="date" content="${date}">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 720px; margin: 40px auto; padding: 0 20px; line-height: 1.6; color: #1A1A2E; }
+    .meta { color: #6B7280; font-size: 14px; }
+    .pb-cite { font-size: 10px; vertical-align: super; border: none; background: #ede9fe; color: #6C63FF; border-radius: 8px; }
+    pre { background: #F3F4F6; padding: 14px; border-radius: 8px; overflow-x: auto; }
+    .pb-code-lang { font-size: 12px; color: #9CA3AF; }
+    blockquote { border-left: 3px solid #c7d2fe; margin: 0 0 12px; padding: 2px 0 2px 12px; color: #4B5563; }
+    table { border-collapse: collapse; } th, td { border: 1px solid #E5E7EB; padding: 6px 10px; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p class="meta"><a href="${url}">${url}</a><br>${this.modeLabel(entry)} · ${date}</p>
+  ${bodyHtml}
+</body>
+</html>
+`;
+  },
+
+  /**
+   * File name for an export, e.g. "my-article-highlights-2026-10-19.md".
+   * @param {{ title: string, mode: string, createdAt: number }} entry
+   * @param {string} extension - Without the dot
+   * @returns {string}
+   */
+  filename(entry, extension) {
+    const slug = entry.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'brief';
+    const date = new Date(entry.createdAt).toISOString().slice(0, 10);
+    return `${slug}-${entry.mode}-${date}.${extension}`;
+  },
+
+  /**
+   * Save text as a file via a temporary object URL.
+   * @param {string} filename
+   * @param {string} text
+   * @param {string} mimeType
+   */
+  download(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  /**
+   * Copy text to the clipboard. Falls back to execCommand on pages where the
+   * async Clipboard API is unavailable (e.g. plain http).
+   * @param {string} text
+   * @returns {Promise<boolean>} Whether the copy succeeded
+   */
+  async copy(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.cssText = 'position:fixed;opacity:0;';
+      document.body.appendChild(textarea);
+      textarea.select();
+      const ok = document.execCommand('copy');
+      textarea.remove();
+      return ok;
+    }
+  },
+
+  /** YAML front matter; values are JSON-encoded, which YAML reads as quoted strings/lists. */
+  frontMatter(fields) {
+    const lines = Object.entries(fields).map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+    return `---\n${lines.join('\n')}\n---`;
+  },
+
+  /** Remove [n] passage citations. */
+  stripCitations(markdown) {
+    return markdown.replace(/ ?\[\d+(?:\s*,\s*\d+)*\](?!\()/g, '');
+  },
+
+  /** Display name of an entry's mode (custom modes carry their own name). */
+  modeLabel(entry) {
+    return entry.modeName || MODE_LABELS[entry.mode] || entry.mode;
+  }
+};
@@ -1,9 +1,18 @@
 /**
- * Gemini API Integration — Streaming responses from Google's Gemini 2.5 Flash-Lite model.
+ * Gemini API Integration — Streaming responses from Google's Gemini models
+ * (the model is picked in Settings), plus the prompts shared by every provider.
  */
 
-const GEMINI_MODEL = 'gemini-2.5-flash-lite';
-const GEMINI_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:streamGenerateContent`;
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+/** Citation rules appended to every system prompt — passages are numbered by extractContent() */
+const CITATION_RULES = `Citations:
+- If the content is split into numbered passages like "[12] ...", end every bullet point (and every sentence stating a fact from the page) with the passage number(s) it comes from, e.g. [3] or [3][7]
+- If lines start with [m:ss] timestamps instead (a video transcript), cite those timestamps the same way, e.g. [4:05]
+- Only cite numbers that appear in the content, and never invent citations`;
+
+/** Languages offered for responses (any language the model writes well works too) */
+const RESPONSE_LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'pl', 'tr', 'ru', 'ar', 'hi', 'ja', 'ko', 'zh'];
 
 /** System prompt for Brief mode */
 const HIGHLIGHTS_SYSTEM_PROMPT = `Create an ultra-concise summary of the provided web content.
@@ -18,7 +27,9 @@ Format requirements:
 - Only include information explicitly stated on the page
 - Use clean Markdown formatting
 
-Total response: under 200 words.`;
+${CITATION_RULES}
+
+Total response: under 200 words (citations excluded).`;
 
 /** System prompt for Explain mode */
 const EXPLAIN_SYSTEM_PROMPT = `Create a detailed explanation of the provided web content.
@@ -34,6 +45,8 @@ Format requirements:
 - End with "Key Takeaways" section (3-5 points)
 - Use clean Markdown formatting
 
+${CITATION_RULES}
+
 Target length: 400-600 words.`;
 
 /** System prompt for Search mode */
@@ -47,23 +60,115 @@ Rules:
 5. Quote relevant parts when helpful
 6. If partial answer available, clarify what is and isn't on the page
 
+${CITATION_RULES}
+
 Use clean Markdown formatting.`;
 
+/** System prompt for Extract mode — the answer is JSON following StructuredData.schema() */
+const EXTRACT_SYSTEM_PROMPT = `Extract structured data from the provided web content as JSON.
+
+IMPORTANT: Only use information from the webpage content provided. Do not add external knowledge.
+
+Fill these lists (leave a list empty when the page has nothing for it):
+- people: people named on the page, with their role or title and one short line on why they are mentioned
+- organizations: companies, institutions, agencies and groups, with their type and why they are mentioned
+- dates: specific dates, deadlines and periods, with the event each refers to (keep the date as written)
+- figures: numbers that matter (amounts, percentages, counts, measurements), with what they measure and their context (keep the value and unit exactly as written)
+- links: the most useful links from the "Links on the page" list, with why each matters; only use URLs from that list
+- actionItems: tasks, next steps, recommendations and requests, with the owner and due date when the page names them
+
+Rules:
+- Every item needs a "source": the passage number it comes from (e.g. "12"), or the [m:ss] timestamp for a video transcript (e.g. "4:05"); for links, the passage that mentions them, or "" if none does
+- Leave a field "" when the page doesn't say
+- Don't list the same item twice
+- Keep every text field under 20 words`;
+
+/** System prompt for comparing several tabs */
+const COMPARE_SYSTEM_PROMPT = `Compare the provided web pages (sources) side by side.
+
+IMPORTANT: Only use information from the sources provided. Do not add external knowledge.
+
+Format requirements:
+- Start with ONE sentence saying what the sources are and what they have in common
+- Then a Markdown table comparing the sources: one row per aspect that matters for these pages (e.g. features, pricing, limits, claims, approach), one column per source, with the source names as column headers
+- Write "Not mentioned" in a cell when a source doesn't cover that aspect
+- Then a "## Synthesis" section: 4-8 bullet points on the key differences, agreements and trade-offs
+- End every synthesis bullet with the source tag(s) it draws on, e.g. [S1] or [S2][S3]
+- Use clean Markdown formatting
+
+Total response: under 500 words.`;
+
+/** System prompt for summarizing one section of a page that is too long to send at once */
+const SECTION_SYSTEM_PROMPT = `You are reading one section of a longer web page. Write dense notes on this section so they can later be combined with notes on the other sections.
+
+IMPORTANT: Only use information from the section provided. Do not add external knowledge.
+
+Format requirements:
+- 5-15 bullet points covering every distinct fact, claim, term and conclusion
+- Keep names, numbers and definitions exactly as written
+- End each bullet with the [n] passage number(s) it comes from (or the [m:ss] timestamp(s), for a video transcript), so the final summary can cite them
+- Do not write an introduction or conclusion
+- Use clean Markdown formatting
+
+Total response: under 300 words.`;
+
+/**
+ * English name of a language code, e.g. "de" → "German".
+ * @param {string} code
+ * @returns {string} The name, or the code itself when unknown
+ */
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Add the response-language instruction to a system prompt. Every prompt sent
+ * to a provider goes through this, so all modes answer in the same language.
+ * @param {string} systemPrompt
+ * @param {string} language - Target language code, or '' to answer in the content's language
+ * @param {string} [pageLanguage] - Detected language of the content, if known
+ * @returns {string}
+ */
+function withResponseLanguage(systemPrompt, language, pageLanguage = '') {
+  let rule;
+  if (language) {
+    rule = `Write the whole response in ${languageName(language)}, whatever language the content (or the user's question) is in. Translate while you summarize, but keep names, numbers and citations unchanged.`;
+  } else if (pageLanguage) {
+    rule = `Write the response in the same language as the content (${languageName(pageLanguage)}).`;
+  } else {
+    rule = 'Write the response in the same language as the content.';
+  }
+  return `${systemPrompt}\n\nLanguage: ${rule}`;
+}
+
 /**
  * Build the user prompt sent to Gemini.
- * @param {{ title: string, content: string, siteName: string }} article
- * @param {'highlights'|'explain'|'search'} mode
+ * @param {{ title: string, content: string, siteName: string, isSelection?: boolean, isPdf?: boolean, pageCount?: number, isTranscript?: boolean, channel?: string }} article
+ * @param {'highlights'|'explain'|'extract'|'search'} mode
  * @param {string} searchQuery - Optional search query for search mode
  * @returns {string}
  */
 function buildUserPrompt(article, mode, searchQuery = '') {
   const { title, content, siteName } = article;
+  // A passage the user selected is briefed on its own, not as the whole page;
+  // PDF passages are whole pages, numbered by page
+  const contentLabel = article.isSelection
+    ? '**Page Content** (a passage the user selected on this page — cover only this passage)'
+    : article.isPdf
+      ? `**Document Content** (a ${article.pageCount}-page PDF; each [n] marks the text of page n)`
+      : article.isTranscript
+        ? `**Video Transcript** (a YouTube video${article.channel ? ` by ${article.channel}` : ''}; each line starts with its [m:ss] timestamp — cite those timestamps, e.g. [4:05], instead of passage numbers)`
+        : '**Page Content**';
 
   if (mode === 'search') {
     return `**Page Title**: ${title}
 **Site**: ${siteName}
 
-**Page Content**:
+${contentLabel}:
 ${content}
 
 ---
@@ -77,23 +182,199 @@ Please answer the user's question using ONLY the information from the page conte
   return `**Page Title**: ${title}
 **Site**: ${siteName}
 
-**Page Content**:
+${contentLabel}:
 ${content}`;
 }
 
+/**
+ * Fill a custom mode's user prompt template. Supports {{title}}, {{site}} and
+ * {{content}}; other text (including unknown {{...}}) is left as written.
+ * @param {string} template
+ * @param {{ title: string, content: string, siteName: string }} article
+ * @returns {string}
+ */
+function renderPromptTemplate(template, article) {
+  const values = { title: article.title, site: article.siteName, content: article.content };
+  return template.replace(/\{\{\s*(title|site|content)\s*\}\}/g, (_, name) => values[name] || '');
+}
+
+/**
+ * System prompt for a Brief, Explain or custom mode.
+ * Custom prompts get the citation rules appended, since content is always numbered.
+ * @param {{ id: string, builtin: boolean, systemPrompt?: string }} mode - From Modes.get()
+ * @returns {string}
+ */
+function getSystemPrompt(mode) {
+  if (mode.id === 'highlights') return HIGHLIGHTS_SYSTEM_PROMPT;
+  if (mode.id === 'explain') return EXPLAIN_SYSTEM_PROMPT;
+  if (mode.id === 'extract') return EXTRACT_SYSTEM_PROMPT;
+  if (mode.id === 'search') return SEARCH_SYSTEM_PROMPT;
+  return `${mode.systemPrompt}\n\n${CITATION_RULES}`;
+}
+
+/**
+ * User prompt for a Brief, Explain, Extract or custom mode (Search uses buildSearchConversation).
+ * @param {{ id: string, builtin: boolean, userTemplate?: string }} mode - From Modes.get()
+ * @param {{ title: string, content: string, siteName: string, isSelection?: boolean }} article
+ * @returns {string}
+ */
+function buildModePrompt(mode, article) {
+  if (mode.id === 'extract') return buildExtractPrompt(article);
+  return mode.builtin ? buildUserPrompt(article, mode.id) : renderPromptTemplate(mode.userTemplate, article);
+}
+
+/**
+ * User prompt for Extract mode: the content plus the page's links, since the
+ * numbered passages are plain text and don't carry URLs.
+ * @param {{ title: string, content: string, siteName: string, links?: Array<{ text: string, url: string }> }} article
+ * @param {string} [content] - The part of the content to extract from (one section of a long page)
+ * @param {boolean} [withLinks] - Whether to list the page's links
+ * @returns {string}
+ */
+function buildExtractPrompt(article, content = article.content, withLinks = true) {
+  const links = withLinks ? (article.links || []) : [];
+  const linkList = links.length
+    ? `\n\n**Links on the page**:\n${links.map(link => `- ${link.text}: ${link.url}`).join('\n')}`
+    : '';
+  return `${buildUserPrompt({ ...article, content }, 'extract')}${linkList}`;
+}
+
+/**
+ * Build the prompt for one section of a long page (map step).
+ * @param {{ title: string, siteName: string }} article
+ * @param {string} section - The section text
+ * @param {number} index - Zero-based section index
+ * @param {number} total - Number of sections
+ * @returns {string}
+ */
+function buildSectionPrompt(article, section, index, total) {
+  return `**Page Title**: ${article.title}
+**Site**: ${article.siteName}
+
+**Section ${index + 1} of ${total}**:
+${section}`;
+}
+
+/**
+ * Build the prompt that merges per-section notes into the final response (reduce step).
+ * Sent with the mode's own system prompt, so the output matches a normal Brief/Explain.
+ * @param {{ title: string, siteName: string }} article
+ * @param {string[]} sectionNotes - Notes for each section, in page order
+ * @param {{ builtin: boolean, userTemplate?: string }} [mode] - Custom modes get the
+ *   notes filled into their own template as {{content}}
+ * @returns {string}
+ */
+function buildMergePrompt(article, sectionNotes, mode) {
+  const notes = sectionNotes
+    .map((note, i) => `### Section ${i + 1} of ${sectionNotes.length}\n${note}`)
+    .join('\n\n');
+
+  if (mode && !mode.builtin) {
+    const content = `(This page was too long to read at once, so below are notes on each of its ${sectionNotes.length} sections, in order. Treat them together as the page content.)\n\n${notes}`;
+    return renderPromptTemplate(mode.userTemplate, { ...article, content });
+  }
+
+  return `**Page Title**: ${article.title}
+**Site**: ${article.siteName}
+
+This page was too long to read at once, so it was split into ${sectionNotes.length} sections and each section was condensed into notes. Treat the notes below, taken together and in order, as the page content. Cover the whole page, not just the first sections.
+
+**Page Content (section notes)**:
+${notes}`;
+}
+
+/**
+ * Build the prompt for comparing several tabs. Sources are tagged [S1], [S2]...
+ * and share `maxLength` characters between them; passage markers are removed
+ * since they restart in every source.
+ * @param {Array<{ title: string, url: string, siteName: string, content: string }>} sources
+ * @param {number} maxLength - Combined content budget
+ * @returns {{ prompt: string, truncated: string[] }} Titles of sources that were shortened
+ */
+function buildComparePrompt(sources, maxLength) {
+  const budget = Math.floor(maxLength / sources.length);
+  const truncated = [];
+
+  const blocks = sources.map((source, i) => {
+    let text = source.content.replace(/^\[\d+\] /gm, '');
+    if (text.length > budget) {
+      text = text.substring(0, budget);
+      truncated.push(source.title);
+    }
+    return `### [S${i + 1}] ${source.title}
+**Site**: ${source.siteName}
+**URL**: ${source.url}
+
+${text}`;
+  });
+
+  return {
+    prompt: `Compare these ${sources.length} sources. Use their short names (site or product name) as table headers, and tag facts with [S1]-[S${sources.length}].
+
+${blocks.join('\n\n---\n\n')}`,
+    truncated
+  };
+}
+
+/**
+ * Build a multi-turn Search conversation as Gemini `contents` turns.
+ * The page content is sent once, with the first question; follow-ups
+ * are sent as plain user turns after the previous answers.
+ * @param {{ title: string, content: string, siteName: string }} article
+ * @param {Array<{ question: string, answer: string }>} history - Previous exchanges
+ * @param {string} question - The new question
+ * @returns {Array<{ role: 'user'|'model', text: string }>}
+ */
+function buildSearchConversation(article, history, question) {
+  const turns = [];
+  history.forEach((exchange, i) => {
+    turns.push({ role: 'user', text: i === 0 ? buildUserPrompt(article, 'search', exchange.question) : exchange.question });
+    turns.push({ role: 'model', text: exchange.answer });
+  });
+  turns.push({ role: 'user', text: history.length ? question : buildUserPrompt(article, 'search', question) });
+  return turns;
+}
+
+/**
+ * Build the conversation that resumes a response cut off at the max output
+ * tokens: the original prompt, the partial answer, then a request to go on.
+ * @param {string|Array<{ role: 'user'|'model', text: string }>} prompt - The original prompt
+ * @param {string} partial - The response so far
+ * @returns {Array<{ role: 'user'|'model', text: string }>}
+ */
+function buildContinuePrompt(prompt, partial) {
+  const turns = Array.isArray(prompt) ? prompt : [{ role: 'user', text: prompt }];
+  return [
+    ...turns,
+    { role: 'model', text: partial },
+    { role: 'user', text: 'Your previous answer was cut off. Continue exactly where it stopped, mid-sentence if needed, without repeating anything or adding an introduction. Keep the same format and citation rules.' }
+  ];
+}
+
+/**
+ * Request headers carrying the API key. The key goes in a header rather than
+ * the ?key= query string, so it stays out of URLs (and anything that logs them).
+ * @param {string} apiKey
+ * @returns {Object<string, string>}
+ */
+function geminiHeaders(apiKey) {
+  return { 'x-goog-api-key': apiKey };
+}
+
 /**
  * Validate an API key by fetching model metadata (GET request).
  * NOTE: While this does NOT consume generation tokens, it DOES count toward
  * the API's Requests Per Minute (RPM) and Requests Per Day (RPD) limits.
  * Returns an object: { valid: boolean, error?: string }
  * @param {string} apiKey
+ * @param {string} model - The model requests will use, so an unavailable one is caught too
  * @returns {Promise<{ valid: boolean, error?: string }>}
  */
-async function validateApiKey(apiKey) {
+async function validateApiKey(apiKey, model) {
   try {
     // Use the models.get endpoint — it only reads metadata, no generation tokens used
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}?key=${apiKey}`;
-    const res = await fetch(url, { method: 'GET' });
+    const url = `${GEMINI_API_BASE}/models/${model}`;
+    const res = await fetch(url, { method: 'GET', headers: geminiHeaders(apiKey) });
 
     if (res.ok) return { valid: true };
 
@@ -110,6 +391,9 @@ async function validateApiKey(apiKey) {
     if (res.status === 400 || res.status === 403) {
       return { valid: false, error: 'INVALID_KEY' };
     }
+    if (res.status === 404) {
+      return { valid: false, error: `The model "${model}" isn't available for this key.` };
+    }
     return { valid: false, error: detail || `API returned status ${res.status}` };
   } catch (err) {
     console.error('[Briefrr] validateApiKey network error:', err);
@@ -117,73 +401,70 @@ async function validateApiKey(apiKey) {
   }
 }
 
+/**
+ * List the Gemini models that support text generation for this key.
+ * @param {string} apiKey
+ * @returns {Promise<string[]>} Model ids without the "models/" prefix
+ */
+async function listGeminiModels(apiKey) {
+  const res = await fetch(`${GEMINI_API_BASE}/models?pageSize=1000`, { headers: geminiHeaders(apiKey) });
+  if (!res.ok) throw new Error(res.status === 400 || res.status === 403 ? 'INVALID_KEY' : `API returned status ${res.status}`);
+  const body = await res.json();
+  return (body.models || [])
+    .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+    .map(model => model.name.replace(/^models\//, ''))
+    .sort();
+}
+
 /**
  * Stream a response from the Gemini API using Server-Sent Events.
  * Yields text chunks as they arrive.
  * @param {string} apiKey
- * @param {string} prompt
+ * @param {string|Array<{ role: 'user'|'model', text: string }>} prompt - A single
+ *   user prompt, or the turns of a conversation
  * @param {string} systemInstruction
+ * @param {string} model - Model to generate with
+ * @param {{ temperature?: number, maxOutputTokens?: number }} [generation] - From Settings
+ * @param {Object|null} [schema] - JSON schema to answer with, as JSON (Extract mode)
  * @yields {string} text chunks
+ * @returns {{ usage: { promptTokens: number, outputTokens: number, totalTokens: number }|null, truncated: boolean }}
+ *   Token counts from the response's usageMetadata (if it had any), and
+ *   whether it stopped at maxOutputTokens
+ * @throws {Error} A typed error (see errors.js)
  */
-async function* streamGeminiResponse(apiKey, prompt, systemInstruction) {
-  // Check rate limiting before making the request
-  const rateLimitCheck = await RateLimiter.canMakeRequest();
-  if (!rateLimitCheck.allowed) {
-    const timeRemaining = RateLimiter.formatTimeRemaining(rateLimitCheck.remainingMs);
-    const reason = rateLimitCheck.reason === 'backoff'
-      ? `Rate limit cooldown active. Please wait ${timeRemaining}.`
-      : `Too many requests. Please wait ${timeRemaining} before trying again.`;
-    throw new Error(`RATE_LIMITED:${rateLimitCheck.remainingMs}:${reason}`);
-  }
-
-  // Record that we're making a request
-  await RateLimiter.recordRequest();
-
-  const url = `${GEMINI_ENDPOINT}?alt=sse&key=${apiKey}`;
+async function* streamGeminiResponse(apiKey, prompt, systemInstruction, model, { temperature = 0.3, maxOutputTokens = 4096 } = {}, schema = null) {
+  // Pacing happens before this is called — the background admits each request through RateLimiter.acquire()
+  const url = `${GEMINI_API_BASE}/models/${model}:streamGenerateContent?alt=sse`;
 
   const response = await fetch(url, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { ...geminiHeaders(apiKey), 'Content-Type': 'application/json' },
     body: JSON.stringify({
       system_instruction: {
         parts: [{ text: systemInstruction }]
       },
-      contents: [{
-        parts: [{ text: prompt }]
-      }],
+      contents: Array.isArray(prompt)
+        ? prompt.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] }))
+        : [{ role: 'user', parts: [{ text: prompt }] }],
       generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 4096
+        temperature,
+        maxOutputTokens,
+        ...(schema && { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) })
       }
     })
   });
 
-  if (!response.ok) {
-    const errorBody = await response.text();
-    let errorMsg = `API error (${response.status})`;
-    try {
-      const parsed = JSON.parse(errorBody);
-      errorMsg = parsed.error?.message || errorMsg;
-    } catch { /* use default */ }
-
-    if (response.status === 400) throw new Error('INVALID_KEY');
-
-    if (response.status === 429) {
-      // Record the rate limit error and get the backoff delay
-      const backoffMs = await RateLimiter.recordRateLimitError();
-      const timeRemaining = RateLimiter.formatTimeRemaining(backoffMs);
-      throw new Error(`RATE_LIMITED:${backoffMs}:You've hit the API rate limit. Please wait ${timeRemaining} and try again.`);
-    }
-
-    throw new Error(errorMsg);
-  }
+  if (!response.ok) throw await toGeminiError(response, model);
 
   // Request was successful - clear any backoff delays
-  await RateLimiter.recordSuccess();
+  await RateLimiter.recordSuccess(model);
 
   const reader = response.body.getReader();
   const decoder = new TextDecoder();
   let buffer = '';
+  // Every chunk carries the running totals, so the last one seen is the final count
+  let usage = null;
+  let finishReason = '';
 
   while (true) {
     const { done, value } = await reader.read();
@@ -194,17 +475,127 @@ async function* streamGeminiResponse(apiKey, prompt, systemInstruction) {
     buffer = lines.pop() || '';
 
     for (const line of lines) {
-      if (line.startsWith('data: ')) {
-        const data = line.slice(6).trim();
-        if (data === '[DONE]') return;
-        try {
-          const json = JSON.parse(data);
-          const text = json.candidates?.[0]?.content?.parts?.[0]?.text;
-          if (text) yield text;
-        } catch {
-          // Skip malformed chunks
-        }
+      if (!line.startsWith('data: ')) continue;
+      const data = line.slice(6).trim();
+      if (data === '[DONE]') return finishGeminiStream(usage, finishReason, model);
+
+      let json;
+      try {
+        json = JSON.parse(data);
+      } catch {
+        continue; // Skip malformed chunks
       }
+      if (json.usageMetadata) usage = json.usageMetadata;
+      // A blocked prompt gets no candidates at all, only the reason
+      if (json.promptFeedback?.blockReason) {
+        throw createError(ERROR_CODES.BLOCKED, 'The request was blocked.', { reason: json.promptFeedback.blockReason, model });
+      }
+      const candidate = json.candidates?.[0];
+      if (candidate?.finishReason) finishReason = candidate.finishReason;
+      const text = candidate?.content?.parts?.[0]?.text;
+      if (text) yield text;
     }
   }
+
+  return finishGeminiStream(usage, finishReason, model);
+}
+
+/**
+ * Convert a JSON schema to Gemini's schema format, which names types in upper case.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function toGeminiSchema(schema) {
+  const { type, properties, items, ...rest } = schema;
+  const converted = { ...rest, type: type.toUpperCase() };
+  if (properties) {
+    converted.properties = Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+  }
+  if (items) converted.items = toGeminiSchema(items);
+  return converted;
+}
+
+/**
+ * Turn a failed Gemini response into a typed error. Rate limits pause the
+ * model with backoff (RateLimiter.recordRateLimitError); overloads only cool
+ * it down briefly (RateLimiter.recordOverload).
+ * @param {Response} response
+ * @param {string} model
+ * @returns {Promise<Error>}
+ */
+async function toGeminiError(response, model) {
+  let body = {};
+  try {
+    body = JSON.parse(await response.text()).error || {};
+  } catch { /* no JSON body */ }
+  const message = body.message || `API error (${response.status})`;
+  const details = body.details || [];
+
+  // A bad or revoked key is a 400 (API_KEY_INVALID) or a 403 — other 400s are bad requests
+  const badKey = details.some(detail => /API_KEY/.test(detail.reason || '')) || /API key/i.test(message);
+  if (response.status === 401 || response.status === 403 || (response.status === 400 && badKey)) {
+    return createError(ERROR_CODES.INVALID_KEY, message, { model });
+  }
+
+  if (response.status === 429) {
+    // Pause this model and get the backoff delay
+    const backoffMs = await RateLimiter.recordRateLimitError(model);
+    const daily = details.some(detail => detail.violations?.some(violation => /PerDay/i.test(violation.quotaId || '')));
+    if (daily) {
+      return createError(ERROR_CODES.QUOTA_EXHAUSTED, `You've used today's quota for ${model}.`, { model });
+    }
+    const timeRemaining = Usage.formatWait(backoffMs);
+    return createError(ERROR_CODES.RATE_LIMITED,
+      `You've hit the API rate limit. Please wait ${timeRemaining} and try again.`, { retryAfterMs: backoffMs, model });
+  }
+
+  if (response.status >= 500) {
+    // Overloaded or failing — usually brief, so the model only cools down for a
+    // moment (or as long as Retry-After says) while requests move on to a fallback model
+    const pauseMs = await RateLimiter.recordOverload(model, parseRetryAfter(response.headers.get('Retry-After')));
+    const timeRemaining = Usage.formatWait(pauseMs);
+    return createError(ERROR_CODES.OVERLOADED,
+      `${model} is overloaded right now. Please wait ${timeRemaining} and try again.`, { retryAfterMs: pauseMs, model });
+  }
+
+  return createError(ERROR_CODES.UNKNOWN, message, { model });
+}
+
+/**
+ * Read a Retry-After header, given in seconds or as an HTTP date.
+ * @param {string|null} value
+ * @returns {number} Milliseconds, or 0 when missing or unreadable
+ */
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) && ms > 0 ? ms : 0;
+}
+
+/**
+ * Check how a Gemini stream ended: safety and recitation stops become
+ * BLOCKED errors (the text so far was already sent), and a stop at
+ * maxOutputTokens marks the response as truncated.
+ * @param {Object|null} usage - The last usageMetadata
+ * @param {string} finishReason - The candidate's finishReason
+ * @param {string} model
+ * @returns {{ usage: Object|null, truncated: boolean }}
+ */
+function finishGeminiStream(usage, finishReason, model) {
+  if (['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'].includes(finishReason)) {
+    throw createError(ERROR_CODES.BLOCKED, 'The response was blocked.', { reason: finishReason, model });
+  }
+  return { usage: toTokenUsage(usage), truncated: finishReason === 'MAX_TOKENS' };
+}
+
+/**
+ * Normalize Gemini's usageMetadata into the token counts providers report.
+ * @param {{ promptTokenCount?: number, candidatesTokenCount?: number, totalTokenCount?: number }|null} metadata
+ * @returns {{ promptTokens: number, outputTokens: number, totalTokens: number }|null}
+ */
+function toTokenUsage(metadata) {
+  if (!metadata) return null;
+  const promptTokens = metadata.promptTokenCount || 0;
+  const outputTokens = metadata.candidatesTokenCount || 0;
+  return { promptTokens, outputTokens, totalTokens: metadata.totalTokenCount || promptTokens + outputTokens };
 }
@@ -0,0 +1,292 @@
+/**
+ * Key Vault — The only code that reads or writes provider API keys.
+ *
+ * Loaded by the background service worker alone: extension pages manage keys
+ * through its messages (see background.js), and content scripts never see a
+ * key — they only send prompts over the streaming port.
+ *
+ * Keys are kept per provider as { [providerId]: key } in the extension's own
+ * IndexedDB — not chrome.storage.local, which content scripts can read, while
+ * IndexedDB is per origin and content scripts run in the page's. With a
+ * passphrase set, only an AES-GCM encrypted copy is stored, in
+ * chrome.storage.local (the AES key is derived from the passphrase with
+ * PBKDF2), and unlocking keeps the decrypted keys in chrome.storage.session
+ * until the browser closes. Session storage is only readable by trusted
+ * extension contexts, never by content scripts.
+ */
+
+const KeyVault = {
+  PBKDF2_ITERATIONS: 600000,
+  MIN_PASSPHRASE_LENGTH: 8,
+
+  // IndexedDB database and object store holding the unencrypted keys
+  DB_NAME: 'briefrr-keys',
+  DB_STORE: 'keys',
+
+  /**
+   * The stored key for a provider.
+   * @param {string} provider - Provider id
+   * @returns {Promise<string|null>}
+   * @throws {Error} 'KEY_LOCKED' while the keys are encrypted and locked
+   */
+  async getKey(provider) {
+    return (await this.getKeys())[provider] || null;
+  },
+
+  /**
+   * Save (or with an empty key, remove) a provider's key.
+   * @param {string} provider
+   * @param {string} key
+   * @throws {Error} 'KEY_LOCKED' while the keys are encrypted and locked
+   */
+  async setKey(provider, key) {
+    const keys = { ...(await this.getKeys()) };
+    if (key) keys[provider] = key;
+    else delete keys[provider];
+    await this.write(keys);
+  },
+
+  /**
+   * What the settings pages may know about the keys: which providers have
+   * one, and their last four characters while unlocked.
+   * @returns {Promise<{ encrypted: boolean, locked: boolean, keys: Object<string, string> }>}
+   *   keys maps provider id → last four characters ('' while locked)
+   */
+  async status() {
+    const { apiKeyVault } = await chrome.storage.local.get('apiKeyVault');
+    const unlocked = await this.getUnlocked();
+    const locked = !!apiKeyVault && !unlocked;
+
+    const keys = {};
+    if (locked) {
+      apiKeyVault.providers.forEach(provider => { keys[provider] = ''; });
+    } else {
+      for (const [provider, key] of Object.entries(await this.getKeys())) keys[provider] = key.slice(-4);
+    }
+    return { encrypted: !!apiKeyVault, locked, keys };
+  },
+
+  /**
+   * Encrypt the stored keys with a new passphrase and remove the plain copy.
+   * The vault stays unlocked for this browser session.
+   * @param {string} passphrase
+   * @throws {Error} 'KEY_LOCKED' when already encrypted and locked
+   */
+  async encrypt(passphrase) {
+    if (passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Use a passphrase of at least ${this.MIN_PASSPHRASE_LENGTH} characters.`);
+    }
+    const keys = await this.getKeys();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const cryptoKey = await this.deriveKey(passphrase, salt);
+
+    await chrome.storage.session.set({
+      unlockedKeys: { keys, rawKey: this.toBase64(await crypto.subtle.exportKey('raw', cryptoKey)) }
+    });
+    await chrome.storage.local.set({ apiKeyVault: await this.seal(keys, cryptoKey, salt) });
+    await this.writePlainKeys(null);
+  },
+
+  /**
+   * Store the keys unencrypted again and forget the passphrase.
+   * @throws {Error} 'KEY_LOCKED' while locked
+   */
+  async decrypt() {
+    const keys = await this.getKeys();
+    await this.writePlainKeys(keys);
+    await chrome.storage.local.remove('apiKeyVault');
+    await chrome.storage.session.remove('unlockedKeys');
+  },
+
+  /**
+   * Decrypt the keys for the rest of this browser session.
+   * @param {string} passphrase
+   * @throws {Error} 'WRONG_PASSPHRASE' when it doesn't decrypt the vault
+   */
+  async unlock(passphrase) {
+    const { apiKeyVault } = await chrome.storage.local.get('apiKeyVault');
+    if (!apiKeyVault) return;
+
+    const cryptoKey = await this.deriveKey(passphrase, this.fromBase64(apiKeyVault.salt), apiKeyVault.iterations);
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(apiKeyVault.iv) }, cryptoKey, this.fromBase64(apiKeyVault.data));
+    } catch {
+      // AES-GCM fails authentication when the key (so the passphrase) is wrong
+      throw new Error('WRONG_PASSPHRASE');
+    }
+
+    await chrome.storage.session.set({
+      unlockedKeys: {
+        keys: JSON.parse(new TextDecoder().decode(plaintext)),
+        rawKey: this.toBase64(await crypto.subtle.exportKey('raw', cryptoKey))
+      }
+    });
+  },
+
+  /** Forget the decrypted keys until the passphrase is entered again. */
+  async lock() {
+    await chrome.storage.session.remove('unlockedKeys');
+  },
+
+  /**
+   * Move keys saved by earlier versions ('geminiApiKey', the OpenAI key inside
+   * providerSettings, and plain 'apiKeys' in chrome.storage.local) into the vault.
+   */
+  async migrate() {
+    const { geminiApiKey, providerSettings, apiKeyVault, apiKeys } =
+      await chrome.storage.local.get(['geminiApiKey', 'providerSettings', 'apiKeyVault', 'apiKeys']);
+    if (apiKeys) {
+      if (!apiKeyVault) await this.writePlainKeys({ ...apiKeys, ...(await this.readPlainKeys()) });
+      await chrome.storage.local.remove('apiKeys');
+    }
+
+    const openaiKey = providerSettings?.openai?.apiKey;
+    if (apiKeyVault || (!geminiApiKey && !openaiKey)) return;
+
+    const keys = { ...(await this.getKeys()) };
+    if (geminiApiKey) keys.gemini = keys.gemini || geminiApiKey;
+    if (openaiKey) keys.openai = keys.openai || openaiKey;
+    await this.write(keys);
+
+    await chrome.storage.local.remove('geminiApiKey');
+    if (openaiKey) {
+      const { apiKey, ...openai } = providerSettings.openai;
+      await chrome.storage.local.set({ providerSettings: { ...providerSettings, openai } });
+    }
+  },
+
+  /**
+   * All stored keys, decrypted.
+   * @returns {Promise<Object<string, string>>}
+   * @throws {Error} 'KEY_LOCKED' while the keys are encrypted and locked
+   */
+  async getKeys() {
+    const { apiKeyVault } = await chrome.storage.local.get('apiKeyVault');
+    if (!apiKeyVault) return (await this.readPlainKeys()) || {};
+
+    const unlocked = await this.getUnlocked();
+    if (!unlocked) throw new Error('KEY_LOCKED');
+    return unlocked.keys;
+  },
+
+  /** The session's decrypted keys and AES key, or null while locked. */
+  async getUnlocked() {
+    const { unlockedKeys } = await chrome.storage.session.get('unlockedKeys');
+    return unlockedKeys || null;
+  },
+
+  /**
+   * Save the keys: unencrypted in IndexedDB, or re-encrypted with the
+   * session's AES key when a passphrase is set.
+   * @param {Object<string, string>} keys
+   */
+  async write(keys) {
+    const { apiKeyVault } = await chrome.storage.local.get('apiKeyVault');
+    if (!apiKeyVault) {
+      await this.writePlainKeys(keys);
+      return;
+    }
+
+    const unlocked = await this.getUnlocked();
+    if (!unlocked) throw new Error('KEY_LOCKED');
+    const cryptoKey = await crypto.subtle.importKey(
+      'raw', this.fromBase64(unlocked.rawKey), 'AES-GCM', true, ['encrypt', 'decrypt']);
+
+    await chrome.storage.session.set({ unlockedKeys: { ...unlocked, keys } });
+    await chrome.storage.local.set({
+      apiKeyVault: await this.seal(keys, cryptoKey, this.fromBase64(apiKeyVault.salt), apiKeyVault.iterations)
+    });
+  },
+
+  /**
+   * Encrypt the keys into the record stored as 'apiKeyVault'. The provider
+   * ids stay readable, so a locked vault can still say which keys it holds.
+   * @param {Object<string, string>} keys
+   * @param {CryptoKey} cryptoKey
+   * @param {Uint8Array} salt - The salt cryptoKey was derived with
+   * @param {number} [iterations]
+   * @returns {Promise<{ salt: string, iv: string, data: string, iterations: number, providers: string[] }>}
+   */
+  async seal(keys, cryptoKey, salt, iterations = this.PBKDF2_ITERATIONS) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(JSON.stringify(keys)));
+    return {
+      salt: this.toBase64(salt),
+      iv: this.toBase64(iv),
+      data: this.toBase64(data),
+      iterations,
+      providers: Object.keys(keys)
+    };
+  },
+
+  /**
+   * Derive the AES-GCM key for a passphrase.
+   * @param {string} passphrase
+   * @param {Uint8Array} salt
+   * @param {number} [iterations]
+   * @returns {Promise<CryptoKey>} Extractable, so the unlocked session can re-encrypt
+   */
+  async deriveKey(passphrase, salt, iterations = this.PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  /**
+   * The unencrypted keys from IndexedDB.
+   * @returns {Promise<Object<string, string>|null>}
+   */
+  async readPlainKeys() {
+    return (await this.inKeyStore('readonly', store => store.get('apiKeys'))) || null;
+  },
+
+  /**
+   * Replace the unencrypted keys in IndexedDB (null deletes them).
+   * @param {Object<string, string>|null} keys
+   */
+  async writePlainKeys(keys) {
+    await this.inKeyStore('readwrite', store => keys ? store.put(keys, 'apiKeys') : store.delete('apiKeys'));
+  },
+
+  /**
+   * Run one request against the IndexedDB key store.
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest} run
+   * @returns {Promise<any>} The request's result, once the transaction commits
+   */
+  async inKeyStore(mode, run) {
+    const db = await new Promise((resolve, reject) => {
+      const open = indexedDB.open(this.DB_NAME, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(this.DB_STORE);
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(open.error);
+    });
+    try {
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(this.DB_STORE, mode);
+        const request = run(transaction.objectStore(this.DB_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } finally {
+      db.close();
+    }
+  },
+
+  toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  },
+
+  fromBase64(str) {
+    return Uint8Array.from(atob(str), ch => ch.charCodeAt(0));
+  }
+};
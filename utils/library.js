@@ -0,0 +1,135 @@
+/**
+ * Library — Every generated summary, saved in chrome.storage.local (via Storage)
+ * so it can be searched, tagged, starred and exported later from library.html.
+ *
+ * When storage runs out of room, the oldest non-favorite entries are dropped
+ * to make space for new ones.
+ */
+
+const Library = {
+  // Fraction of non-favorite entries dropped per retry when storage is full
+  PRUNE_FRACTION: 0.1,
+
+  // Give up after this many prune-and-retry rounds
+  MAX_PRUNE_ATTEMPTS: 5,
+
+  /**
+   * Save a new summary.
+   * @param {{ title: string, url: string, mode: string, modeName?: string, markdown: string, createdAt?: number }} summary
+   *   `modeName` is set for custom modes, so entries keep their name after the mode is deleted
+   * @returns {Promise<Object|null>} The stored entry, or null if it couldn't be saved
+   */
+  async add({ title, url, mode, modeName, markdown, createdAt = Date.now() }) {
+    const entry = {
+      id: `${createdAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      title,
+      url,
+      mode,
+      ...(modeName && { modeName }),
+      markdown,
+      createdAt,
+      tags: [],
+      favorite: false
+    };
+
+    try {
+      const entries = await Storage.getLibrary();
+      await this.save([entry, ...entries]);
+      return entry;
+    } catch (error) {
+      console.warn('[Library] Could not save summary:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Get all entries, newest first.
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    return Storage.getLibrary();
+  },
+
+  /**
+   * Get the most recent entries (for the popup's "Recent" list).
+   * @param {number} count
+   * @returns {Promise<Array<Object>>}
+   */
+  async recent(count = 5) {
+    return (await Storage.getLibrary()).slice(0, count);
+  },
+
+  /**
+   * Update fields of one entry (e.g. { favorite: true } or { tags: [...] }).
+   * @param {string} id
+   * @param {Object} changes
+   */
+  async update(id, changes) {
+    const entries = await Storage.getLibrary();
+    await this.save(entries.map(entry => entry.id === id ? { ...entry, ...changes } : entry));
+  },
+
+  /**
+   * Delete entries by id.
+   * @param {string[]} ids
+   */
+  async remove(ids) {
+    const entries = await Storage.getLibrary();
+    await Storage.setLibrary(entries.filter(entry => !ids.includes(entry.id)));
+  },
+
+  /**
+   * Filter entries by a full-text query; every word must appear in the
+   * title, URL, tags or summary text.
+   * @param {Array<Object>} entries
+   * @param {string} query
+   * @returns {Array<Object>}
+   */
+  search(entries, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.length) return entries;
+    return entries.filter(entry => {
+      const haystack = `${entry.title} ${entry.url} ${entry.tags.join(' ')} ${entry.markdown}`.toLowerCase();
+      return words.every(word => haystack.includes(word));
+    });
+  },
+
+  /**
+   * Write entries, dropping the oldest non-favorites while storage is over quota.
+   * @param {Array<Object>} entries - Newest first
+   */
+  async save(entries) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await Storage.setLibrary(entries);
+        return;
+      } catch (error) {
+        if (!/quota/i.test(error.message) || attempt >= this.MAX_PRUNE_ATTEMPTS) throw error;
+        entries = this.prune(entries);
+      }
+    }
+  },
+
+  /**
+   * Remove the oldest PRUNE_FRACTION of non-favorite entries (at least one).
+   * The newest entry is always kept, since it's the one being saved.
+   * @param {Array<Object>} entries - Newest first
+   * @returns {Array<Object>}
+   */
+  prune(entries) {
+    const removable = entries.slice(1).filter(entry => !entry.favorite);
+    const dropCount = Math.max(1, Math.ceil(removable.length * this.PRUNE_FRACTION));
+    const dropped = new Set(removable.slice(-dropCount).map(entry => entry.id));
+    console.warn(`[Library] Storage full — removing ${dropped.size} oldest summaries`);
+    return entries.filter(entry => !dropped.has(entry.id));
+  },
+
+  /**
+   * Storage used by the extension, for the library page's quota display.
+   * @returns {Promise<{ used: number, quota: number }>} Bytes
+   */
+  async usage() {
+    const used = await chrome.storage.local.getBytesInUse(null);
+    return { used, quota: chrome.storage.local.QUOTA_BYTES };
+  }
+};
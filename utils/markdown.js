@@ -0,0 +1,263 @@
+/**
+ * Markdown — Safe Markdown → HTML renderer for model output.
+ *
+ * All text is HTML-escaped before formatting is applied, so the only tags in
+ * the result are the ones generated here; raw HTML in the input is shown as
+ * text. Links are only kept for http(s) and mailto URLs.
+ *
+ * Supports headings, paragraphs, bold / italic / strikethrough, inline code,
+ * fenced code blocks with language labels, nested and ordered lists,
+ * blockquotes, horizontal rules, GFM tables, [n] passage citations and
+ * [m:ss] transcript timestamps.
+ */
+
+const Markdown = {
+  SAFE_URL: /^(https?:|mailto:)/i,
+
+  // Block-level patterns, matched against a single line
+  FENCE: /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/,
+  HEADING: /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/,
+  RULE: /^\s{0,3}([-*_])(\s*\1){2,}\s*$/,
+  QUOTE: /^\s{0,3}>/,
+  LIST_ITEM: /^(\s*)([-*+]|\d{1,9}[.)])\s+/,
+  TABLE_DIVIDER: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
+
+  /**
+   * Render Markdown to HTML.
+   * @param {string} md
+   * @param {{ citations?: boolean }} [options] - citations: turn [n] and [m:ss] into
+   *   clickable chips (default true); when false they stay as plain text
+   * @returns {string}
+   */
+  render(md, options = {}) {
+    if (!md) return '';
+    return this.splitBlocks(md).map(block => this.renderBlock(block, options)).join('\n');
+  },
+
+  /**
+   * Split Markdown into top-level blocks (paragraph, list, table, code fence...),
+   * each as its raw source lines.
+   * @param {string} md
+   * @returns {string[][]}
+   */
+  splitBlocks(md) {
+    const lines = this.toLines(md);
+    return this.blockRanges(lines).map(({ start, end }) => lines.slice(start, end));
+  },
+
+  /** Normalize line endings and split into lines. */
+  toLines(md) {
+    return md.replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+  },
+
+  /**
+   * Find where each top-level block starts and ends (blank lines between
+   * blocks belong to none). Used by splitBlocks and by the drawer's streaming
+   * renderer, which only re-renders the blocks that may still change.
+   * @param {string[]} lines
+   * @returns {Array<{ start: number, end: number }>} Line indexes, end exclusive
+   */
+  blockRanges(lines) {
+    const ranges = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) { i++; continue; }
+
+      const start = i;
+      const fence = line.match(this.FENCE);
+      if (fence) {
+        // Everything up to the closing fence (or the end, while still streaming)
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) i++;
+        i++;
+      } else if (this.HEADING.test(line) || this.RULE.test(line)) {
+        i++;
+      } else if (this.QUOTE.test(line)) {
+        while (i < lines.length && this.QUOTE.test(lines[i])) i++;
+      } else if (this.isTableStart(lines, i)) {
+        i += 2;
+        while (i < lines.length && lines[i].includes('|') && lines[i].trim()) i++;
+      } else if (this.LIST_ITEM.test(line)) {
+        i++;
+        while (i < lines.length) {
+          if (lines[i].trim()) {
+            // Items, indented content and lazy continuation lines stay in the list
+            if (this.LIST_ITEM.test(lines[i]) || /^\s/.test(lines[i]) || !this.startsBlock(lines, i)) i++;
+            else break;
+          } else {
+            // A blank line only continues the list if more list content follows
+            let next = i + 1;
+            while (next < lines.length && !lines[next].trim()) next++;
+            if (next < lines.length && (this.LIST_ITEM.test(lines[next]) || /^\s/.test(lines[next]))) i = next;
+            else break;
+          }
+        }
+      } else {
+        i++;
+        while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) i++;
+      }
+
+      ranges.push({ start, end: Math.min(i, lines.length) });
+    }
+
+    return ranges;
+  },
+
+  /** Whether lines[i] starts a new block (and so ends a paragraph). */
+  startsBlock(lines, i) {
+    const line = lines[i];
+    return this.FENCE.test(line) || this.HEADING.test(line) || this.RULE.test(line) ||
+      this.QUOTE.test(line) || this.LIST_ITEM.test(line) || this.isTableStart(lines, i);
+  },
+
+  /** A table is a row containing "|" followed by a |---|---| divider row. */
+  isTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length &&
+      lines[i + 1].includes('-') && this.TABLE_DIVIDER.test(lines[i + 1]);
+  },
+
+  /**
+   * Render one block from splitBlocks().
+   * @param {string[]} lines
+   * @param {{ citations?: boolean }} options
+   * @returns {string}
+   */
+  renderBlock(lines, options = {}) {
+    const first = lines[0];
+
+    const fence = first.match(this.FENCE);
+    if (fence) {
+      const end = lines.length > 1 && lines[lines.length - 1].trim().startsWith(fence[1]) ? -1 : lines.length;
+      const code = lines.slice(1, end).join('\n');
+      const label = fence[2] ? `<span class="pb-code-lang">${this.escape(fence[2])}</span>` : '';
+      return `<div class="pb-code">${label}<pre class="pb-code-block"><code>${this.escape(code)}</code></pre></div>`;
+    }
+
+    const heading = first.match(this.HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      return `<h${level} class="pb-h${Math.min(level, 3)}">${this.inline(heading[2], options)}</h${level}>`;
+    }
+
+    if (this.RULE.test(first)) return '<hr class="pb-hr">';
+
+    if (this.QUOTE.test(first)) {
+      const inner = lines.map(line => line.replace(/^\s{0,3}> ?/, '')).join('\n');
+      return `<blockquote class="pb-blockquote">${this.render(inner, options)}</blockquote>`;
+    }
+
+    if (this.isTableStart(lines, 0)) return this.renderTable(lines, options);
+    if (this.LIST_ITEM.test(first)) return this.renderList(lines, options);
+
+    return `<p class="pb-p">${lines.map(line => this.inline(line.trim(), options)).join('<br>')}</p>`;
+  },
+
+  /** Render a (possibly nested) list; nesting follows item indentation. */
+  renderList(lines, options) {
+    const items = [];
+    lines.forEach(line => {
+      const match = line.match(this.LIST_ITEM);
+      if (match) {
+        items.push({
+          indent: match[1].replace(/\t/g, '    ').length,
+          ordered: /\d/.test(match[2]),
+          start: parseInt(match[2], 10),
+          text: line.slice(match[0].length)
+        });
+      } else if (line.trim() && items.length) {
+        items[items.length - 1].text += ' ' + line.trim();
+      }
+    });
+
+    let i = 0;
+    // One <ul>/<ol> of siblings at `indent`; deeper items nest inside the previous <li>
+    const build = (indent) => {
+      const first = items[i];
+      const tag = first.ordered ? 'ol' : 'ul';
+      const start = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+      let html = `<${tag} class="pb-${tag}"${start}>`;
+
+      while (i < items.length && items[i].indent >= indent && items[i].indent <= indent + 1 && items[i].ordered === first.ordered) {
+        const item = items[i++];
+        html += `<li>${this.inline(item.text.trim(), options)}`;
+        while (i < items.length && items[i].indent > item.indent + 1) html += build(items[i].indent);
+        html += '</li>';
+      }
+      return html + `</${tag}>`;
+    };
+
+    let html = '';
+    while (i < items.length) html += build(items[i].indent);
+    return html;
+  },
+
+  /** Render a GFM table (header row, divider row with alignment, body rows). */
+  renderTable(lines, options) {
+    const cells = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    const aligns = cells(lines[1]).map(cell =>
+      cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : '');
+    const header = cells(lines[0]);
+
+    const row = (values, tag) => '<tr>' + header.map((_, col) => {
+      const align = aligns[col] ? ` style="text-align:${aligns[col]}"` : '';
+      return `<${tag}${align}>${this.inline(values[col] || '', options)}</${tag}>`;
+    }).join('') + '</tr>';
+
+    const body = lines.slice(2).map(line => row(cells(line), 'td')).join('');
+    return `<div class="pb-table-wrap"><table class="pb-table"><thead>${row(header, 'th')}</thead><tbody>${body}</tbody></table></div>`;
+  },
+
+  /**
+   * Inline formatting: code, links, bold, italic, strikethrough and citations.
+   * Code spans and links are swapped out for placeholders while the rest is
+   * formatted, so their contents are never reformatted.
+   */
+  inline(text, options = {}) {
+    const saved = [];
+    const hold = (html) => `\u0000${saved.push(html) - 1}\u0000`;
+
+    text = text.replace(/`([^`]+)`/g, (_, code) => hold(`<code class="pb-inline-code">${this.escape(code)}</code>`));
+    text = this.escape(text);
+
+    text = text.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, url) => {
+      const html = this.emphasis(label);
+      // The URL is already escaped, so it's safe inside the attribute
+      return hold(this.SAFE_URL.test(url) ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${html}</a>` : html);
+    });
+
+    text = this.emphasis(text);
+
+    // [3] or [3, 7] → clickable chips that scroll to the passage on the page
+    if (options.citations !== false) {
+      text = text.replace(/\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g, (_, nums) =>
+        nums.split(/\s*,\s*/).map(n => `<button class="pb-cite" data-cite="${n}" title="Show on page">${n}</button>`).join(''));
+      // [4:05] → transcript timestamps that seek the video
+      text = text.replace(/\[(\d{1,2}(?::\d{2}){1,2})\](?!\()/g, (_, time) =>
+        `<button class="pb-cite pb-time" data-time="${time}" title="Play from here">${time}</button>`);
+    }
+
+    return text.replace(/\u0000(\d+)\u0000/g, (_, n) => saved[n]);
+  },
+
+  /** Bold, italic and strikethrough on already-escaped text. */
+  emphasis(text) {
+    return text
+      .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|\W)__(?=\S)(.+?)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+      .replace(/(^|\W)_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+  },
+
+  /**
+   * Escape text for HTML element content and quoted attribute values. The
+   * one escaper for the drawer, the Library and exports.
+   * @param {string} str
+   * @returns {string}
+   */
+  escape(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+};
@@ -0,0 +1,130 @@
+/**
+ * Modes — The built-in drawer modes plus user-defined custom modes.
+ *
+ * A custom mode is { id, name, icon, systemPrompt, userTemplate }; its user
+ * template is filled with {{title}}, {{site}} and {{content}} (see
+ * renderPromptTemplate in gemini-api.js). Mode packs are JSON files of the
+ * form { briefrrModePack: 1, modes: [...] } for sharing modes.
+ */
+
+const BUILTIN_MODES = [
+  { id: 'highlights', name: 'Highlights', title: 'Brief', icon: '⚡', description: 'Key points in 30 seconds', loadingText: 'Generating brief...', builtin: true },
+  { id: 'explain', name: 'Explain', title: 'Explain', icon: '📖', description: 'Detailed breakdown of this page', loadingText: 'Generating explanation...', builtin: true },
+  { id: 'search', name: 'Search', title: 'Search', icon: '🔍', description: 'Ask questions about this page', loadingText: 'Searching page content...', builtin: true },
+  // Answers with JSON (StructuredData.schema()), shown as tables rather than Markdown
+  { id: 'extract', name: 'Extract', title: 'Extract', icon: '🗂️', description: 'People, dates, figures and to-dos as tables', loadingText: 'Extracting data...', builtin: true }
+];
+
+// Multi-tab comparison, started from the popup rather than a drawer button
+const MAX_COMPARE_TABS = 6;
+const COMPARE_MODE = { id: 'compare', name: 'Compare', title: 'Compare Tabs', icon: '⚖️', description: 'Side-by-side comparison of open tabs', loadingText: 'Comparing tabs...', builtin: true };
+
+const MODE_PACK_VERSION = 1;
+
+const Modes = {
+  // Limits that keep a mode usable in the drawer header
+  MAX_NAME_LENGTH: 30,
+  MAX_CUSTOM_MODES: 20,
+
+  /**
+   * Built-in modes followed by custom modes, in display order.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll() {
+    const custom = await Storage.getCustomModes();
+    return [...BUILTIN_MODES, ...custom.map(mode => this.describe(mode))];
+  },
+
+  /**
+   * Look up one mode by id (built-in or custom).
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return (await this.getAll()).find(mode => mode.id === id) || null;
+  },
+
+  /** Fill in the display fields custom modes don't store. */
+  describe(mode) {
+    return {
+      ...mode,
+      title: mode.name,
+      description: 'Custom mode',
+      loadingText: `Running ${mode.name}...`,
+      builtin: false
+    };
+  },
+
+  /**
+   * Create a custom mode with a fresh id.
+   * @param {{ name: string, icon: string, systemPrompt: string, userTemplate: string }} fields
+   * @returns {Object}
+   */
+  create({ name, icon, systemPrompt, userTemplate }) {
+    return {
+      id: `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: name.trim(),
+      icon: (icon || '').trim() || '✨',
+      systemPrompt: systemPrompt.trim(),
+      userTemplate: userTemplate.trim()
+    };
+  },
+
+  /**
+   * Check a custom mode's fields.
+   * @param {{ name: string, systemPrompt: string, userTemplate: string }} mode
+   * @returns {string} An error message, or '' when valid
+   */
+  validate(mode) {
+    if (typeof mode.name !== 'string' || !mode.name.trim()) return 'Give the mode a name.';
+    if (mode.name.trim().length > this.MAX_NAME_LENGTH) return `Keep the name under ${this.MAX_NAME_LENGTH} characters.`;
+    if ([...BUILTIN_MODES, COMPARE_MODE].some(builtin => builtin.name.toLowerCase() === mode.name.trim().toLowerCase())) {
+      return `"${mode.name.trim()}" is a built-in mode name.`;
+    }
+    if (typeof mode.systemPrompt !== 'string' || !mode.systemPrompt.trim()) return 'Add a system prompt.';
+    if (typeof mode.userTemplate !== 'string' || !mode.userTemplate.includes('{{content}}')) return 'The user prompt template must include {{content}}.';
+    return '';
+  },
+
+  /**
+   * Serialize custom modes as a shareable mode pack.
+   * @param {Array<Object>} modes
+   * @returns {string} JSON
+   */
+  toPack(modes) {
+    return JSON.stringify({
+      briefrrModePack: MODE_PACK_VERSION,
+      modes: modes.map(({ name, icon, systemPrompt, userTemplate }) => ({ name, icon, systemPrompt, userTemplate }))
+    }, null, 2);
+  },
+
+  /**
+   * Parse a mode pack into new custom modes (with fresh ids).
+   * @param {string} json
+   * @returns {Array<Object>}
+   * @throws {Error} When the file isn't a valid mode pack
+   */
+  fromPack(json) {
+    let pack;
+    try {
+      pack = JSON.parse(json);
+    } catch {
+      throw new Error('This file is not valid JSON.');
+    }
+    if (!pack || pack.briefrrModePack !== MODE_PACK_VERSION || !Array.isArray(pack.modes)) {
+      throw new Error('This file is not a Briefrr mode pack.');
+    }
+
+    return pack.modes.map((fields, i) => {
+      // Every field a mode stores is text; missing ones are reported by validate()
+      const fieldTypes = ['name', 'icon', 'systemPrompt', 'userTemplate']
+        .every(key => fields?.[key] == null || typeof fields[key] === 'string');
+      if (!fields || typeof fields !== 'object' || !fieldTypes) {
+        throw new Error(`Mode ${i + 1}: This is not a valid Briefrr mode.`);
+      }
+      const error = this.validate(fields);
+      if (error) throw new Error(`Mode ${i + 1}: ${error}`);
+      return this.create(fields);
+    });
+  }
+};
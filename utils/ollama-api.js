@@ -0,0 +1,113 @@
+/**
+ * Ollama API Integration — Streaming chat responses from a local Ollama server.
+ * Ollama streams newline-delimited JSON rather than SSE, and needs no API key.
+ */
+
+/**
+ * List the models pulled into the local Ollama server.
+ * @param {{ baseUrl: string }} config
+ * @returns {Promise<string[]>}
+ */
+async function listOllamaModels({ baseUrl }) {
+  const res = await fetch(`${baseUrl}/api/tags`);
+  if (!res.ok) throw new Error(`Ollama returned status ${res.status}`);
+  const body = await res.json();
+  return (body.models || []).map(model => model.name).sort();
+}
+
+/**
+ * Check that the Ollama server is reachable and has the configured model.
+ * @param {{ baseUrl: string, model: string, temperature?: number, maxOutputTokens?: number }} config
+ * @returns {Promise<{ valid: boolean, error?: string }>}
+ */
+async function validateOllamaServer({ baseUrl, model }) {
+  try {
+    const models = await listOllamaModels({ baseUrl });
+    if (model && !models.some(name => name === model || name === `${model}:latest`)) {
+      return { valid: false, error: `Model "${model}" is not installed. Run: ollama pull ${model}` };
+    }
+    return { valid: true };
+  } catch (err) {
+    console.error('[Briefrr] validateOllamaServer error:', err);
+    return { valid: false, error: 'NETWORK_ERROR' };
+  }
+}
+
+/**
+ * Stream a chat response from Ollama's /api/chat endpoint.
+ * Yields text chunks as they arrive.
+ * @param {{ baseUrl: string, model: string }} config
+ * @param {string|Array<{ role: 'user'|'model', text: string }>} prompt
+ * @param {string} systemInstruction
+ * @param {Object|null} [schema] - JSON schema to answer with, as JSON (Extract mode)
+ * @yields {string} text chunks
+ * @returns {{ usage: { promptTokens: number, outputTokens: number, totalTokens: number }|null, truncated: boolean }}
+ *   Token counts from the final message, and whether it stopped at num_predict
+ */
+async function* streamOllamaResponse({ baseUrl, model, temperature = 0.3, maxOutputTokens = 4096 }, prompt, systemInstruction, schema = null) {
+  const turns = Array.isArray(prompt) ? prompt : [{ role: 'user', text: prompt }];
+
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model,
+      messages: [
+        { role: 'system', content: systemInstruction },
+        ...turns.map(turn => ({ role: turn.role === 'model' ? 'assistant' : 'user', content: turn.text }))
+      ],
+      options: { temperature, num_predict: maxOutputTokens },
+      ...(schema && { format: schema }),
+      stream: true
+    })
+  });
+
+  if (!response.ok) {
+    let errorMsg = `Ollama error (${response.status})`;
+    try {
+      const parsed = await response.json();
+      errorMsg = parsed.error || errorMsg;
+    } catch { /* use default */ }
+
+    // Ollama rejects requests from origins it doesn't trust with a bare 403
+    if (response.status === 403) {
+      throw new Error('Ollama refused the request. Allow the extension with OLLAMA_ORIGINS=chrome-extension://* and restart Ollama.');
+    }
+    throw new Error(errorMsg);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const json = JSON.parse(line);
+        if (json.error) throw new Error(json.error);
+        if (json.message?.content) yield json.message.content;
+        if (json.done) {
+          const promptTokens = json.prompt_eval_count || 0;
+          const outputTokens = json.eval_count || 0;
+          return {
+            usage: { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens },
+            truncated: json.done_reason === 'length'
+          };
+        }
+      } catch (err) {
+        if (err instanceof SyntaxError) continue; // Skip malformed lines
+        throw err;
+      }
+    }
+  }
+
+  return { usage: null, truncated: false };
+}
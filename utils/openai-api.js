@@ -0,0 +1,162 @@
+/**
+ * OpenAI-Compatible API Integration — Streaming chat completions from any server
+ * that speaks the OpenAI `/chat/completions` protocol (OpenAI, OpenRouter, LM Studio, vLLM...).
+ */
+
+/**
+ * Convert a prompt (string or conversation turns) into OpenAI chat messages.
+ * @param {string|Array<{ role: 'user'|'model', text: string }>} prompt
+ * @param {string} systemInstruction
+ * @returns {Array<{ role: string, content: string }>}
+ */
+function toOpenAIMessages(prompt, systemInstruction) {
+  const turns = Array.isArray(prompt) ? prompt : [{ role: 'user', text: prompt }];
+  return [
+    { role: 'system', content: systemInstruction },
+    ...turns.map(turn => ({ role: turn.role === 'model' ? 'assistant' : 'user', content: turn.text }))
+  ];
+}
+
+/**
+ * Build request headers, adding the bearer token when a key is configured.
+ * @param {string} apiKey
+ * @returns {Object<string, string>}
+ */
+function openAIHeaders(apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return headers;
+}
+
+/**
+ * List the model ids the server exposes.
+ * @param {{ apiKey: string, baseUrl: string }} config
+ * @returns {Promise<string[]>}
+ */
+async function listOpenAIModels({ apiKey, baseUrl }) {
+  const res = await fetch(`${baseUrl}/models`, { headers: openAIHeaders(apiKey) });
+  if (!res.ok) throw new Error(res.status === 401 ? 'INVALID_KEY' : `API returned status ${res.status}`);
+  const body = await res.json();
+  return (body.data || []).map(model => model.id).sort();
+}
+
+/**
+ * Validate the key and base URL by listing models.
+ * @param {{ apiKey: string, baseUrl: string }} config
+ * @returns {Promise<{ valid: boolean, error?: string }>}
+ */
+async function validateOpenAIKey({ apiKey, baseUrl }) {
+  try {
+    const res = await fetch(`${baseUrl}/models`, { headers: openAIHeaders(apiKey) });
+    if (res.ok) return { valid: true };
+    if (res.status === 429) return { valid: false, error: 'RATE_LIMITED' };
+    if (res.status === 401 || res.status === 403) return { valid: false, error: 'INVALID_KEY' };
+    return { valid: false, error: `API returned status ${res.status}` };
+  } catch (err) {
+    console.error('[Briefrr] validateOpenAIKey network error:', err);
+    return { valid: false, error: 'NETWORK_ERROR' };
+  }
+}
+
+/**
+ * Stream a chat completion using Server-Sent Events.
+ * Yields text chunks as they arrive.
+ * @param {{ apiKey: string, baseUrl: string, model: string, temperature?: number, maxOutputTokens?: number }} config
+ * @param {string|Array<{ role: 'user'|'model', text: string }>} prompt
+ * @param {string} systemInstruction
+ * @param {Object|null} [schema] - JSON schema to answer with, as JSON (Extract mode)
+ * @yields {string} text chunks
+ * @returns {{ usage: { promptTokens: number, outputTokens: number, totalTokens: number }|null, truncated: boolean }}
+ *   Token counts (for servers that report usage in the stream), and whether
+ *   the response stopped at max_tokens
+ * @throws {Error} A typed error (see errors.js)
+ */
+async function* streamOpenAIResponse({ apiKey, baseUrl, model, temperature = 0.3, maxOutputTokens = 4096 }, prompt, systemInstruction, schema = null) {
+  // JSON mode is the structured output most OpenAI-compatible servers support,
+  // so the schema itself goes in the instructions
+  const instructions = schema
+    ? `${systemInstruction}\n\nAnswer with a JSON object following this JSON schema:\n${JSON.stringify(schema)}`
+    : systemInstruction;
+
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: openAIHeaders(apiKey),
+    body: JSON.stringify({
+      model,
+      messages: toOpenAIMessages(prompt, instructions),
+      temperature,
+      max_tokens: maxOutputTokens,
+      ...(schema && { response_format: { type: 'json_object' } }),
+      stream: true
+    })
+  });
+
+  if (!response.ok) {
+    let errorMsg = `API error (${response.status})`;
+    let errorCode = '';
+    try {
+      const parsed = await response.json();
+      errorMsg = parsed.error?.message || errorMsg;
+      errorCode = parsed.error?.code || '';
+    } catch { /* use default */ }
+
+    if (response.status === 401 || response.status === 403) throw createError(ERROR_CODES.INVALID_KEY, errorMsg);
+    // OpenAI reports an empty balance as a 429 too
+    if (response.status === 429) {
+      throw createError(errorCode === 'insufficient_quota' ? ERROR_CODES.QUOTA_EXHAUSTED : ERROR_CODES.RATE_LIMITED, errorMsg, { model });
+    }
+    if (response.status >= 500) throw createError(ERROR_CODES.OVERLOADED, errorMsg, { model });
+    throw createError(ERROR_CODES.UNKNOWN, errorMsg);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let usage = null;
+  let finishReason = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (line.startsWith('data: ')) {
+        const data = line.slice(6).trim();
+        if (data === '[DONE]') return finishOpenAIStream(usage, finishReason);
+        try {
+          const json = JSON.parse(data);
+          if (json.usage) {
+            usage = {
+              promptTokens: json.usage.prompt_tokens || 0,
+              outputTokens: json.usage.completion_tokens || 0,
+              totalTokens: json.usage.total_tokens || 0
+            };
+          }
+          if (json.choices?.[0]?.finish_reason) finishReason = json.choices[0].finish_reason;
+          const text = json.choices?.[0]?.delta?.content;
+          if (text) yield text;
+        } catch {
+          // Skip malformed chunks
+        }
+      }
+    }
+  }
+
+  return finishOpenAIStream(usage, finishReason);
+}
+
+/**
+ * Check how a chat completion stream ended.
+ * @param {Object|null} usage
+ * @param {string} finishReason - "stop", "length", "content_filter"...
+ * @returns {{ usage: Object|null, truncated: boolean }}
+ * @throws {Error} BLOCKED when the server's content filter stopped the response
+ */
+function finishOpenAIStream(usage, finishReason) {
+  if (finishReason === 'content_filter') throw createError(ERROR_CODES.BLOCKED, 'The response was blocked.', { reason: 'SAFETY' });
+  return { usage, truncated: finishReason === 'length' };
+}
@@ -0,0 +1,99 @@
+/**
+ * PDF Extractor — Reads the text of a PDF open in Chrome's viewer with pdf.js.
+ *
+ * pdf.js (libs/pdf.min.js + libs/pdf.worker.min.js) is large, so it isn't a
+ * regular content script: the background injects it into PDF tabs on demand.
+ * The worker script runs in the same world and pdf.js uses it on the main
+ * thread, since content scripts can't start a Worker from the extension.
+ *
+ * Each page becomes one passage numbered by its page number ("[3] ..."), so
+ * citations point at pages.
+ */
+
+const MAX_PDF_PAGES = 500;
+
+/**
+ * Whether the current tab is showing a PDF.
+ * @returns {boolean}
+ */
+function isPdfDocument() {
+  return document.contentType === 'application/pdf' ||
+    (/\.pdf$/i.test(location.pathname) && !!document.querySelector('embed[type="application/pdf"]'));
+}
+
+/**
+ * Fetch and parse the current PDF, page by page.
+ * Returns the same shape as extractContent(), with `paragraphs[n - 1]` holding
+ * the text of page n ('' for pages without text).
+ * @param {(page: number, total: number) => void} onProgress
+ * @returns {Promise<{ title: string, content: string, fullContent: string, paragraphs: string[], excerpt: string, siteName: string, language: string, length: number, isPdf: true, pageCount: number }>}
+ * @throws {Error} When the PDF can't be downloaded or parsed
+ */
+async function extractPdfContent(onProgress = () => {}) {
+  await loadPdfJs();
+
+  const response = await fetch(location.href);
+  if (!response.ok) throw new Error(`Couldn't download the PDF (status ${response.status}).`);
+  const data = await response.arrayBuffer();
+
+  const pdf = await pdfjsLib.getDocument({ data, isEvalSupported: false, disableFontFace: true }).promise;
+  try {
+    const pageCount = Math.min(pdf.numPages, MAX_PDF_PAGES);
+    const paragraphs = [];
+
+    for (let n = 1; n <= pageCount; n++) {
+      onProgress(n, pageCount);
+      const page = await pdf.getPage(n);
+      const text = await page.getTextContent();
+      paragraphs.push(pageText(text.items));
+      page.cleanup();
+    }
+
+    let title = '';
+    try {
+      title = (await pdf.getMetadata()).info?.Title || '';
+    } catch { /* no metadata */ }
+    title = title.trim() || document.title || decodeURIComponent(location.pathname.split('/').pop());
+
+    const fullContent = paragraphs
+      .map((text, i) => text && `[${i + 1}] ${text}`)
+      .filter(Boolean)
+      .join('\n');
+
+    return {
+      title,
+      content: fullContent.substring(0, MAX_CONTENT_LENGTH),
+      fullContent,
+      paragraphs,
+      excerpt: '',
+      siteName: location.hostname || 'Local PDF',
+      language: detectLanguage(fullContent),
+      length: fullContent.length,
+      isPdf: true,
+      pageCount
+    };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+/**
+ * Join a page's text items into one line, re-joining words hyphenated across lines.
+ * @param {Array<{ str: string, hasEOL: boolean }>} items
+ * @returns {string}
+ */
+function pageText(items) {
+  const raw = items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('');
+  return normalizeText(raw.replace(/(\w)-\n(\w)/g, '$1$2'));
+}
+
+/** Ask the background to inject pdf.js into this tab (once). */
+async function loadPdfJs() {
+  if (typeof pdfjsLib !== 'undefined') return;
+
+  const response = await chrome.runtime.sendMessage({ action: 'briefrr-load-pdfjs' });
+  if (!response?.ok || typeof pdfjsLib === 'undefined') {
+    throw new Error(response?.error || 'Couldn\'t load the PDF reader.');
+  }
+  pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('libs/pdf.worker.min.js');
+}
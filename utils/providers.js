@@ -0,0 +1,121 @@
+/**
+ * LLM Providers — A common interface over the backends Briefrr can talk to.
+ *
+ * Each provider exposes:
+ *   stream(config, prompt, systemInstruction, schema)
+ *                                             — async generator of text chunks (JSON following
+ *                                             `schema` when one is given, e.g. for Extract),
+ *                                             returning { usage, truncated }: the token
+ *                                             usage ({ promptTokens, outputTokens, totalTokens })
+ *                                             when the backend reports it, else null, and
+ *                                             whether the response stopped at the max
+ *                                             output tokens; failures are typed errors
+ *                                             (see errors.js)
+ *   validateKey(config)                       — { valid: boolean, error?: string }
+ *   listModels(config)                        — model ids available to the user
+ * where config is { provider, apiKey, baseUrl, model, fallbackModels, temperature, maxOutputTokens }:
+ * getProviderConfig() plus the key, which only the background adds (from KeyVault).
+ * Gemini has no baseUrl; its endpoint is fixed (GEMINI_API_BASE).
+ *
+ * The HTTP implementations live in gemini-api.js, openai-api.js and ollama-api.js
+ * and are only loaded where requests are made (background, options page);
+ * the metadata here is safe to use anywhere.
+ */
+
+const PROVIDERS = {
+  gemini: {
+    id: 'gemini',
+    name: 'Gemini',
+    requiresKey: true,
+    // Only Gemini's free tier is paced by RateLimiter
+    rateLimited: true,
+    defaultModel: 'gemini-2.5-flash-lite',
+    // Tried in order when the model is rate-limited or overloaded (each has its own free-tier quota)
+    defaultFallbackModels: ['gemini-2.0-flash', 'gemini-2.0-flash-lite'],
+    stream: (config, prompt, systemInstruction, schema) =>
+      streamGeminiResponse(config.apiKey, prompt, systemInstruction, config.model, config, schema),
+    validateKey: (config) => validateApiKey(config.apiKey, config.model),
+    listModels: (config) => listGeminiModels(config.apiKey)
+  },
+
+  openai: {
+    id: 'openai',
+    name: 'OpenAI-compatible',
+    requiresKey: true,
+    rateLimited: false,
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    defaultFallbackModels: [],
+    stream: (config, prompt, systemInstruction, schema) => streamOpenAIResponse(config, prompt, systemInstruction, schema),
+    validateKey: (config) => validateOpenAIKey(config),
+    listModels: (config) => listOpenAIModels(config)
+  },
+
+  ollama: {
+    id: 'ollama',
+    name: 'Ollama',
+    requiresKey: false,
+    rateLimited: false,
+    defaultBaseUrl: 'http://localhost:11434',
+    defaultModel: 'llama3.2',
+    defaultFallbackModels: [],
+    stream: (config, prompt, systemInstruction, schema) => streamOllamaResponse(config, prompt, systemInstruction, schema),
+    validateKey: (config) => validateOllamaServer(config),
+    listModels: (config) => listOllamaModels(config)
+  }
+};
+
+/**
+ * Look up a provider by id, falling back to Gemini.
+ * @param {string} id
+ * @returns {typeof PROVIDERS.gemini}
+ */
+function getProvider(id) {
+  return PROVIDERS[id] || PROVIDERS.gemini;
+}
+
+/**
+ * Resolve the active provider and its settings into a request config,
+ * without the API key.
+ * @param {string} [mode] - Mode the request is for; modes can have their own model
+ * @returns {Promise<{ provider: string, baseUrl?: string, model: string, fallbackModels: string[], temperature: number, maxOutputTokens: number }>}
+ *   baseUrl is only set for providers with a configurable server
+ */
+async function getProviderConfig(mode = '') {
+  const settings = await Storage.getProviderSettings();
+  const provider = getProvider(settings.provider);
+  const saved = settings[provider.id] || {};
+  const { temperature, maxOutputTokens } = await Storage.getGenerationSettings();
+
+  return {
+    provider: provider.id,
+    ...(provider.defaultBaseUrl && { baseUrl: (saved.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, '') }),
+    model: saved.modeModels?.[mode] || saved.model || provider.defaultModel,
+    fallbackModels: saved.fallbackModels || provider.defaultFallbackModels,
+    temperature,
+    maxOutputTokens
+  };
+}
+
+/**
+ * Host permission pattern needed to reach a provider's base URL.
+ * @param {string} baseUrl
+ * @returns {string} e.g. "http://localhost:11434/*"
+ */
+function getHostPermission(baseUrl) {
+  return `${new URL(baseUrl).origin}/*`;
+}
+
+/**
+ * Send a request to the background from an extension page (see the key and
+ * provider actions in background.js).
+ * @param {string} action
+ * @param {Object} [fields]
+ * @returns {Promise<any>} The action's result
+ * @throws {Error} With the action's error code or message
+ */
+async function askBackground(action, fields = {}) {
+  const response = await chrome.runtime.sendMessage({ action, ...fields });
+  if (!response?.ok) throw new Error(response?.error || 'No response from the extension.');
+  return response.result;
+}
@@ -1,19 +1,40 @@
 /**
- * Rate Limiter — Client-side request throttling for Gemini API
- * Enforces minimum delay between requests to prevent hitting API rate limits.
- * 
- * Gemini API Free Tier Limits:
- * - 15 RPM (Requests Per Minute)
- * - 1,500 RPD (Requests Per Day)
- * 
- * Our Strategy:
- * - Minimum 4 seconds between requests (15 requests / 60 seconds)
- * - Exponential backoff on 429 errors (60s → 120s → 240s → max 300s)
+ * Rate Limiter — The single request coordinator for quota-limited providers
+ * (Gemini), run by the background service worker.
+ *
+ * Every Gemini request from every tab goes through acquire(), which admits it
+ * only while the model's sliding-window budgets allow:
+ * - RPM: requests in the last 60 seconds
+ * - RPD: requests in the last 24 hours
+ * - TPM: tokens in the last 60 seconds (estimated from the prompt until the
+ *   response reports its real usage)
+ *
+ * Requests that don't fit wait in a FIFO queue per model instead of failing;
+ * each waiter is told its position and an estimated wait. A 429 from the API
+ * additionally pauses the model with exponential backoff (60s → 120s → 240s →
+ * max 300s); a 5xx overload only pauses it for a short cooldown (or the
+ * server's Retry-After), without raising that backoff. Every model keeps its
+ * own budgets and backoff, so the background can move a request to the next
+ * model in the user's fallback chain when one is paused or out of budget.
+ *
+ * Budgets default to Gemini's free tier and can be changed per model in Settings.
+ * Request history is kept in chrome.storage.local so budgets survive service
+ * worker restarts; only this coordinator writes it.
  */
 
+const MINUTE_MS = 60 * 1000;
+const RATE_WINDOW_DAY_MS = 24 * 60 * 60 * 1000;
+
 const RateLimiter = {
-    // Minimum delay between requests in milliseconds (4 seconds)
-    MIN_REQUEST_DELAY: 4000,
+    // Free-tier budgets per model; models not listed use DEFAULT_BUDGET
+    DEFAULT_BUDGETS: {
+        'gemini-2.5-flash-lite': { rpm: 15, rpd: 1000, tpm: 250000 },
+        'gemini-2.5-flash': { rpm: 10, rpd: 250, tpm: 250000 },
+        'gemini-2.5-pro': { rpm: 5, rpd: 100, tpm: 250000 },
+        'gemini-2.0-flash': { rpm: 15, rpd: 200, tpm: 1000000 },
+        'gemini-2.0-flash-lite': { rpm: 30, rpd: 200, tpm: 1000000 }
+    },
+    DEFAULT_BUDGET: { rpm: 10, rpd: 250, tpm: 250000 },
 
     // Initial backoff delay for 429 errors (60 seconds)
     INITIAL_BACKOFF: 60000,
@@ -21,124 +42,247 @@ const RateLimiter = {
     // Maximum backoff delay (5 minutes)
     MAX_BACKOFF: 300000,
 
+    // Pause after a 5xx overload when the server doesn't send Retry-After (15 seconds)
+    OVERLOAD_COOLDOWN: 15000,
+
+    // Rough prompt size → token estimate, used until the real count is known
+    CHARS_PER_TOKEN: 4,
+
+    // In-memory state, loaded from storage on first use:
+    // { [model]: { requests: [{ id, time, tokens }], backoff: number, backoffUntil: number } }
+    state: null,
+    queue: [],        // [{ id, model, tokens, budget, onWait, resolve }]
+    timer: null,
+    nextId: 1,
+
     /**
-     * Check if a new request can be made based on rate limiting rules.
-     * @returns {Promise<{ allowed: boolean, remainingMs?: number }>}
+     * Wait for a turn to send a request to `model`, then claim it.
+     * @param {string} model
+     * @param {number} promptChars - Size of the prompt, for the token estimate
+     * @param {(status: { position: number, etaMs: number }) => void} onWait - Called
+     *   while queued, whenever the position or estimate changes
+     * @param {AbortSignal} [signal] - Aborting leaves the queue (e.g. the drawer was closed)
+     * @returns {Promise<number|null>} A ticket id for settle(), or null if aborted
      */
-    async canMakeRequest() {
-        try {
-            // Add timeout protection - if storage calls take too long, allow the request
-            const timeoutPromise = new Promise((resolve) => {
-                setTimeout(() => resolve({ allowed: true, timedOut: true }), 2000);
-            });
-
-            const checkPromise = (async () => {
-                const lastRequestTime = await Storage.getLastRequestTime();
-                const backoffDelay = await Storage.getRetryBackoff();
-
-                const now = Date.now();
-
-                // If we have an active backoff (from a 429 error), enforce it
-                if (backoffDelay && backoffDelay > 0) {
-                    const backoffUntil = lastRequestTime + backoffDelay;
-                    if (now < backoffUntil) {
-                        return {
-                            allowed: false,
-                            remainingMs: backoffUntil - now,
-                            reason: 'backoff'
-                        };
-                    }
-                    // Backoff period has expired, clear it
-                    await Storage.clearRetryBackoff();
-                }
-
-                // Check minimum delay between requests
-                if (lastRequestTime) {
-                    const timeSinceLastRequest = now - lastRequestTime;
-                    if (timeSinceLastRequest < this.MIN_REQUEST_DELAY) {
-                        return {
-                            allowed: false,
-                            remainingMs: this.MIN_REQUEST_DELAY - timeSinceLastRequest,
-                            reason: 'rate_limit'
-                        };
-                    }
-                }
-
-                return { allowed: true };
-            })();
-
-            const result = await Promise.race([checkPromise, timeoutPromise]);
-
-            if (result.timedOut) {
-                console.warn('[RateLimiter] Storage check timed out, allowing request');
-            }
+    async acquire(model, promptChars, onWait = () => {}, signal = null) {
+        await this.load();
+        const budgets = await this.getBudgets();
+        if (signal?.aborted) return null;
 
-            return result;
-        } catch (error) {
-            console.error('[RateLimiter] Error in canMakeRequest:', error);
-            // On error, allow the request to proceed
-            return { allowed: true, error: true };
-        }
+        return new Promise((resolve) => {
+            const waiter = {
+                id: this.nextId++,
+                model,
+                tokens: Math.ceil(promptChars / this.CHARS_PER_TOKEN),
+                budget: budgets[model] || this.DEFAULT_BUDGET,
+                onWait,
+                resolve
+            };
+            signal?.addEventListener('abort', () => {
+                if (!this.queue.includes(waiter)) return;
+                this.queue.splice(this.queue.indexOf(waiter), 1);
+                resolve(null);
+                this.pump();
+            });
+            this.queue.push(waiter);
+            this.pump();
+        });
     },
 
     /**
-     * Record that a request is being made.
-     * Call this immediately before making an API request.
+     * How long a new request to `model` would wait for its budgets and backoff,
+     * ignoring requests already queued for it.
+     * @param {string} model
+     * @param {number} promptChars
+     * @returns {Promise<number>} Milliseconds (0 when it could start now)
      */
-    async recordRequest() {
-        await Storage.setLastRequestTime(Date.now());
+    async estimateWait(model, promptChars) {
+        await this.load();
+        const budget = (await this.getBudgets())[model] || this.DEFAULT_BUDGET;
+        const bucket = this.bucket(model);
+        const now = Date.now();
+        const start = this.earliestStart(bucket.requests, budget, Math.ceil(promptChars / this.CHARS_PER_TOKEN), Math.max(now, bucket.backoffUntil));
+        return start - now;
     },
 
     /**
-     * Handle a successful request - clear any backoff delays.
+     * Replace a request's token estimate with the count the API reported.
+     * @param {number} ticket - From acquire()
+     * @param {number|null} totalTokens
      */
-    async recordSuccess() {
-        await Storage.clearRetryBackoff();
+    async settle(ticket, totalTokens) {
+        if (!totalTokens) return;
+        for (const bucket of Object.values(this.state)) {
+            const request = bucket.requests.find(item => item.id === ticket);
+            if (request) {
+                request.tokens = totalTokens;
+                await this.save();
+                this.pump();
+                return;
+            }
+        }
     },
 
     /**
-     * Handle a 429 rate limit error - set exponential backoff.
+     * Admit queued requests whose turn has come, tell the rest where they
+     * stand, and schedule the next check.
      */
-    async recordRateLimitError() {
-        const currentBackoff = await Storage.getRetryBackoff();
-
-        let newBackoff;
-        if (!currentBackoff || currentBackoff === 0) {
-            // First 429 error - start with initial backoff
-            newBackoff = this.INITIAL_BACKOFF;
-        } else {
-            // Subsequent 429 errors - double the backoff
-            newBackoff = Math.min(currentBackoff * 2, this.MAX_BACKOFF);
-        }
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const now = Date.now();
+        let admitted = false;
+
+        // Simulated admissions per model, so later waiters get realistic estimates
+        const planned = {};
+        const lastStart = {};
+        let nextCheck = Infinity;
+        const waiting = [];
+
+        for (const waiter of this.queue) {
+            const bucket = this.bucket(waiter.model);
+            planned[waiter.model] = planned[waiter.model] || [...bucket.requests];
+            const from = Math.max(now, bucket.backoffUntil, lastStart[waiter.model] || 0);
+            const start = this.earliestStart(planned[waiter.model], waiter.budget, waiter.tokens, from);
+            const ahead = waiting.filter(other => other.model === waiter.model).length;
+            lastStart[waiter.model] = start;
 
-        await Storage.setRetryBackoff(newBackoff);
+            if (start <= now && ahead === 0) {
+                const request = { id: waiter.id, time: now, tokens: waiter.tokens };
+                bucket.requests.push(request);
+                planned[waiter.model].push(request);
+                waiter.resolve(waiter.id);
+                admitted = true;
+            } else {
+                planned[waiter.model].push({ id: waiter.id, time: start, tokens: waiter.tokens });
+                waiting.push(waiter);
+                waiter.onWait({ position: ahead + 1, etaMs: Math.max(0, start - now) });
+                if (ahead === 0) nextCheck = Math.min(nextCheck, start);
+            }
+        }
 
-        return newBackoff;
+        this.queue = waiting;
+        if (admitted) this.save();
+        // Re-check when the first waiter's slot opens, and at least every second to refresh estimates
+        if (waiting.length) this.timer = setTimeout(() => this.pump(), Math.max(50, Math.min(nextCheck - now, 1000)));
     },
 
     /**
-     * Get a human-readable time remaining message.
-     * @param {number} ms - Milliseconds remaining
-     * @returns {string} - e.g., "3 seconds", "1 minute", "2 minutes"
+     * Earliest time at or after `from` when one more request of `tokens` fits
+     * every window, given the requests already in (or planned for) the windows.
+     * @param {Array<{ time: number, tokens: number }>} requests - Sorted by time
+     * @param {{ rpm: number, rpd: number, tpm: number }} budget
+     * @param {number} tokens
+     * @param {number} from
+     * @returns {number} Timestamp in milliseconds
      */
-    formatTimeRemaining(ms) {
-        const seconds = Math.ceil(ms / 1000);
+    earliestStart(requests, budget, tokens, from) {
+        let time = from;
+        // Each pass moves past one limiting request; a few passes settle all three windows
+        for (let pass = 0; pass < 100; pass++) {
+            const minute = requests.filter(request => request.time > time - MINUTE_MS && request.time <= time);
+            const day = requests.filter(request => request.time > time - RATE_WINDOW_DAY_MS && request.time <= time);
+            let next = time;
+
+            if (minute.length >= budget.rpm) next = Math.max(next, minute[minute.length - budget.rpm].time + MINUTE_MS);
+            if (day.length >= budget.rpd) next = Math.max(next, day[day.length - budget.rpd].time + RATE_WINDOW_DAY_MS);
+
+            // A prompt bigger than the whole TPM budget goes alone, once the window is empty
+            let used = minute.reduce((sum, request) => sum + request.tokens, 0);
+            const needed = Math.min(tokens, budget.tpm);
+            for (const request of minute) {
+                if (used + needed <= budget.tpm) break;
+                used -= request.tokens;
+                next = Math.max(next, request.time + MINUTE_MS);
+            }
 
-        if (seconds < 60) {
-            return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+            if (next === time) return time;
+            time = next;
         }
+        return time;
+    },
+
+    /**
+     * Handle a 429 for a model: pause it with exponential backoff (5xx
+     * overloads go to recordOverload instead).
+     * @param {string} model
+     * @returns {Promise<number>} The backoff delay in milliseconds
+     */
+    async recordRateLimitError(model) {
+        await this.load();
+        const bucket = this.bucket(model);
+        bucket.backoff = bucket.backoff ? Math.min(bucket.backoff * 2, this.MAX_BACKOFF) : this.INITIAL_BACKOFF;
+        bucket.backoffUntil = Date.now() + bucket.backoff;
+        await this.save();
+        return bucket.backoff;
+    },
 
-        const minutes = Math.ceil(seconds / 60);
-        return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+    /**
+     * Handle a 5xx overload for a model: pause it briefly, leaving the 429
+     * backoff level alone, since overloads are usually transient.
+     * @param {string} model
+     * @param {number} [retryAfterMs] - The server's Retry-After, when it sent one
+     * @returns {Promise<number>} The pause in milliseconds
+     */
+    async recordOverload(model, retryAfterMs = 0) {
+        await this.load();
+        const bucket = this.bucket(model);
+        const pause = Math.min(retryAfterMs || this.OVERLOAD_COOLDOWN, this.MAX_BACKOFF);
+        bucket.backoffUntil = Math.max(bucket.backoffUntil, Date.now() + pause);
+        await this.save();
+        return pause;
     },
 
     /**
-     * Get the remaining cooldown time in milliseconds.
-     * Returns 0 if no cooldown is active.
-     * @returns {Promise<number>}
+     * Handle a successful request - clear the model's backoff.
+     * @param {string} model
      */
-    async getRemainingCooldown() {
-        const check = await this.canMakeRequest();
-        return check.allowed ? 0 : (check.remainingMs || 0);
+    async recordSuccess(model) {
+        await this.load();
+        const bucket = this.bucket(model);
+        if (!bucket.backoff && !bucket.backoffUntil) return;
+        bucket.backoff = 0;
+        bucket.backoffUntil = 0;
+        await this.save();
+    },
+
+    /**
+     * Budgets per model: the defaults with the user's overrides from Settings applied.
+     * @returns {Promise<Object<string, { rpm: number, rpd: number, tpm: number }>>}
+     */
+    async getBudgets() {
+        const overrides = await Storage.getRateLimitBudgets();
+        const budgets = {};
+        for (const model of new Set([...Object.keys(this.DEFAULT_BUDGETS), ...Object.keys(overrides)])) {
+            budgets[model] = { ...(this.DEFAULT_BUDGETS[model] || this.DEFAULT_BUDGET), ...overrides[model] };
+        }
+        return budgets;
+    },
+
+    /** A model's request history and backoff, created on first use. */
+    bucket(model) {
+        if (!this.state[model]) this.state[model] = { requests: [], backoff: 0, backoffUntil: 0 };
+        return this.state[model];
+    },
+
+    /** Load the request history from storage (once per service worker lifetime). */
+    async load() {
+        if (this.state) return;
+        const saved = await Storage.getRateLimitState();
+        // Another load may have finished while this one was waiting on storage
+        if (this.state) return;
+        this.state = saved;
+        // Saved requests keep their ids for settle(), so new ids continue after them
+        const ids = Object.values(saved).flatMap(bucket => bucket.requests.map(request => request.id));
+        this.nextId = Math.max(this.nextId, ids.reduce((max, id) => Math.max(max, id), 0) + 1);
+    },
+
+    /** Persist the request history, dropping requests older than the longest window. */
+    async save() {
+        const cutoff = Date.now() - RATE_WINDOW_DAY_MS;
+        for (const bucket of Object.values(this.state)) {
+            bucket.requests = bucket.requests.filter(request => request.time > cutoff);
+        }
+        await Storage.setRateLimitState(this.state);
     }
 };
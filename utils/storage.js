@@ -1,86 +1,229 @@
 /**
  * Storage Helper — Chrome storage abstraction for Briefrr
- * Manages API key and onboarding state via chrome.storage.local
+ * Manages onboarding state and settings via chrome.storage.local.
+ * API keys are not stored here — see key-vault.js, which only the background loads.
  */
 const Storage = {
   /**
-   * Retrieve the stored Gemini API key.
-   * @returns {Promise<string|null>} The API key or null if not set.
+   * Check whether the user has completed onboarding.
+   * @returns {Promise<boolean>}
    */
-  async getApiKey() {
-    const result = await chrome.storage.local.get('geminiApiKey');
-    return result.geminiApiKey || null;
+  async isOnboarded() {
+    const result = await chrome.storage.local.get('onboardingComplete');
+    return result.onboardingComplete === true;
   },
 
   /**
-   * Save a Gemini API key to storage.
-   * @param {string} key - The Gemini API key.
+   * Mark onboarding as complete.
    */
-  async setApiKey(key) {
-    await chrome.storage.local.set({ geminiApiKey: key });
+  async setOnboarded() {
+    await chrome.storage.local.set({ onboardingComplete: true });
   },
 
   /**
-   * Remove the stored Gemini API key.
+   * Get the LLM provider settings: the active provider id plus
+   * per-provider { baseUrl, model, modeModels, fallbackModels } overrides,
+   * where modeModels maps a mode id to the model that mode uses instead of
+   * `model`, and fallbackModels lists the models to try when it's busy.
+   * @returns {Promise<{ provider: string, openai: Object, ollama: Object, gemini: Object }>}
    */
-  async removeApiKey() {
-    await chrome.storage.local.remove('geminiApiKey');
+  async getProviderSettings() {
+    const result = await chrome.storage.local.get('providerSettings');
+    return { provider: 'gemini', gemini: {}, openai: {}, ollama: {}, ...result.providerSettings };
   },
 
   /**
-   * Check whether the user has completed onboarding.
-   * @returns {Promise<boolean>}
+   * Save the LLM provider settings.
+   * @param {{ provider: string, openai: Object, ollama: Object, gemini: Object }} settings
    */
-  async isOnboarded() {
-    const result = await chrome.storage.local.get('onboardingComplete');
-    return result.onboardingComplete === true;
+  async setProviderSettings(settings) {
+    await chrome.storage.local.set({ providerSettings: settings });
   },
 
   /**
-   * Mark onboarding as complete.
+   * Get the generation settings shared by every provider, with defaults filled in.
+   * @returns {Promise<{ temperature: number, maxOutputTokens: number }>}
    */
-  async setOnboarded() {
-    await chrome.storage.local.set({ onboardingComplete: true });
+  async getGenerationSettings() {
+    const result = await chrome.storage.local.get('generationSettings');
+    return { temperature: 0.3, maxOutputTokens: 4096, ...result.generationSettings };
+  },
+
+  /**
+   * Save the generation settings.
+   * @param {{ temperature: number, maxOutputTokens: number }} settings
+   */
+  async setGenerationSettings(settings) {
+    await chrome.storage.local.set({ generationSettings: settings });
+  },
+
+  /**
+   * Get the drawer appearance settings, with defaults filled in.
+   * @returns {Promise<{ theme: 'system'|'light'|'dark', dock: 'right'|'left', width: number, fontSize: number, pushContent: boolean }>}
+   */
+  async getAppearance() {
+    const result = await chrome.storage.local.get('appearance');
+    return { theme: 'system', dock: 'right', width: 400, fontSize: 15, pushContent: false, ...result.appearance };
+  },
+
+  /**
+   * Save the drawer appearance settings.
+   * @param {{ theme: string, dock: string, width: number, fontSize: number, pushContent: boolean }} appearance
+   */
+  async setAppearance(appearance) {
+    await chrome.storage.local.set({ appearance });
+  },
+
+  /**
+   * Get the rate limiter's request history and backoff per model.
+   * @returns {Promise<Object<string, { requests: Array<{ id: number, time: number, tokens: number }>, backoff: number, backoffUntil: number }>>}
+   */
+  async getRateLimitState() {
+    const result = await chrome.storage.local.get('rateLimitState');
+    return result.rateLimitState || {};
+  },
+
+  /**
+   * Save the rate limiter's request history (written only by the background coordinator).
+   * @param {Object} state
+   */
+  async setRateLimitState(state) {
+    await chrome.storage.local.set({ rateLimitState: state });
+  },
+
+  /**
+   * Get the user's per-model rate limit overrides.
+   * @returns {Promise<Object<string, { rpm?: number, rpd?: number, tpm?: number }>>}
+   */
+  async getRateLimitBudgets() {
+    const result = await chrome.storage.local.get('rateLimitBudgets');
+    return result.rateLimitBudgets || {};
+  },
+
+  /**
+   * Save the per-model rate limit overrides.
+   * @param {Object<string, { rpm?: number, rpd?: number, tpm?: number }>} budgets
+   */
+  async setRateLimitBudgets(budgets) {
+    await chrome.storage.local.set({ rateLimitBudgets: budgets });
+  },
+
+  /**
+   * Get the user-defined custom modes, in display order.
+   * @returns {Promise<Array<{ id: string, name: string, icon: string, systemPrompt: string, userTemplate: string }>>}
+   */
+  async getCustomModes() {
+    const result = await chrome.storage.local.get('customModes');
+    return result.customModes || [];
+  },
+
+  /**
+   * Save the custom modes (replaces the whole list, keeping its order).
+   * @param {Array<Object>} modes
+   */
+  async setCustomModes(modes) {
+    await chrome.storage.local.set({ customModes: modes });
+  },
+
+  /**
+   * Get the sites briefed automatically as their pages load (see AutoBrief).
+   * @returns {Promise<Array<{ domain: string, mode: string }>>}
+   */
+  async getAutoBriefRules() {
+    const result = await chrome.storage.local.get('autoBriefRules');
+    return result.autoBriefRules || [];
+  },
+
+  /**
+   * Save the auto-brief rules (replaces the whole list).
+   * @param {Array<{ domain: string, mode: string }>} rules
+   */
+  async setAutoBriefRules(rules) {
+    await chrome.storage.local.set({ autoBriefRules: rules });
+  },
+
+  /**
+   * Get the language responses are written in.
+   * @returns {Promise<string>} A language code such as "de", or '' for the page's own language
+   */
+  async getResponseLanguage() {
+    const result = await chrome.storage.local.get('responseLanguage');
+    return result.responseLanguage || '';
+  },
+
+  /**
+   * Save the response language.
+   * @param {string} code - A language code, or '' for the page's own language
+   */
+  async setResponseLanguage(code) {
+    await chrome.storage.local.set({ responseLanguage: code });
+  },
+
+  /**
+   * Get every saved summary in the library, newest first.
+   * @returns {Promise<Array<{ id: string, title: string, url: string, mode: string, markdown: string, createdAt: number, tags: string[], favorite: boolean }>>}
+   */
+  async getLibrary() {
+    const result = await chrome.storage.local.get('summaryLibrary');
+    return result.summaryLibrary || [];
+  },
+
+  /**
+   * Replace the saved summary library.
+   * @param {Array<Object>} entries
+   */
+  async setLibrary(entries) {
+    await chrome.storage.local.set({ summaryLibrary: entries });
+  },
+
+  /**
+   * Get the per-page summary cache.
+   * @returns {Promise<Object<string, { hash: string, text: string, createdAt: number }>>}
+   */
+  async getSummaryCache() {
+    const result = await chrome.storage.local.get('summaryCache');
+    return result.summaryCache || {};
   },
 
   /**
-   * Get the timestamp of the last API request.
-   * @returns {Promise<number|null>} Timestamp in milliseconds, or null if never set.
+   * Replace the per-page summary cache.
+   * @param {Object<string, { hash: string, text: string, createdAt: number }>} cache
    */
-  async getLastRequestTime() {
-    const result = await chrome.storage.local.get('lastRequestTime');
-    return result.lastRequestTime || null;
+  async setSummaryCache(cache) {
+    await chrome.storage.local.set({ summaryCache: cache });
   },
 
   /**
-   * Store the timestamp of the current API request.
-   * @param {number} timestamp - Timestamp in milliseconds.
+   * Get the API usage log, oldest first.
+   * @returns {Promise<Array<{ time: number, provider: string, model: string, mode: string, promptChars: number, promptTokens: number|null, outputTokens: number|null, totalTokens: number|null, complete: boolean }>>}
    */
-  async setLastRequestTime(timestamp) {
-    await chrome.storage.local.set({ lastRequestTime: timestamp });
+  async getUsageLog() {
+    const result = await chrome.storage.local.get('usageLog');
+    return result.usageLog || [];
   },
 
   /**
-   * Get the current retry backoff delay (for 429 errors).
-   * @returns {Promise<number>} Backoff delay in milliseconds, or 0 if not set.
+   * Replace the API usage log.
+   * @param {Array<Object>} log
    */
-  async getRetryBackoff() {
-    const result = await chrome.storage.local.get('retryBackoff');
-    return result.retryBackoff || 0;
+  async setUsageLog(log) {
+    await chrome.storage.local.set({ usageLog: log });
   },
 
   /**
-   * Store the retry backoff delay.
-   * @param {number} delay - Backoff delay in milliseconds.
+   * Get the Gemini requests-per-day quota to measure usage against.
+   * @returns {Promise<number|null>} null when not set (Usage.DEFAULT_DAILY_LIMIT applies)
    */
-  async setRetryBackoff(delay) {
-    await chrome.storage.local.set({ retryBackoff: delay });
+  async getDailyRequestLimit() {
+    const result = await chrome.storage.local.get('dailyRequestLimit');
+    return result.dailyRequestLimit || null;
   },
 
   /**
-   * Clear the retry backoff delay (called after a successful request).
+   * Save the Gemini requests-per-day quota.
+   * @param {number} limit
    */
-  async clearRetryBackoff() {
-    await chrome.storage.local.remove('retryBackoff');
+  async setDailyRequestLimit(limit) {
+    await chrome.storage.local.set({ dailyRequestLimit: limit });
   }
 };
@@ -0,0 +1,181 @@
+/**
+ * Structured Data — The tables Extract mode pulls from a page (people,
+ * organizations, dates, figures, links and action items), the JSON schema the
+ * model answers with, and conversions of the result to Markdown, CSV and JSON.
+ *
+ * Extracted data is { [table key]: [{ [column key]: string, source: string }] };
+ * `source` is the passage number ("12") or video timestamp ("4:05") an item
+ * comes from, shown as a citation chip like in the other modes.
+ */
+
+const EXTRACT_TABLES = [
+  {
+    key: 'people', title: 'People', icon: '👤',
+    columns: [{ key: 'name', label: 'Name' }, { key: 'role', label: 'Role' }, { key: 'context', label: 'Context' }]
+  },
+  {
+    key: 'organizations', title: 'Organizations', icon: '🏢',
+    columns: [{ key: 'name', label: 'Name' }, { key: 'type', label: 'Type' }, { key: 'context', label: 'Context' }]
+  },
+  {
+    key: 'dates', title: 'Dates', icon: '📅',
+    columns: [{ key: 'date', label: 'Date' }, { key: 'event', label: 'Event' }]
+  },
+  {
+    key: 'figures', title: 'Figures', icon: '🔢',
+    columns: [{ key: 'value', label: 'Value' }, { key: 'metric', label: 'Metric' }, { key: 'context', label: 'Context' }]
+  },
+  {
+    key: 'links', title: 'Links', icon: '🔗',
+    columns: [{ key: 'text', label: 'Link' }, { key: 'url', label: 'URL' }, { key: 'context', label: 'Why it matters' }]
+  },
+  {
+    key: 'actionItems', title: 'Action Items', icon: '✅',
+    columns: [{ key: 'task', label: 'Task' }, { key: 'owner', label: 'Owner' }, { key: 'due', label: 'Due' }]
+  }
+];
+
+const StructuredData = {
+  /**
+   * JSON schema of the extraction, sent with Extract requests so the provider
+   * answers with JSON of exactly this shape.
+   * @returns {Object}
+   */
+  schema() {
+    const properties = {};
+    EXTRACT_TABLES.forEach((table) => {
+      const columns = {};
+      table.columns.forEach((column) => { columns[column.key] = { type: 'string' }; });
+      columns.source = { type: 'string', description: 'Passage number (e.g. "12") or video timestamp (e.g. "4:05") the item comes from' };
+      properties[table.key] = {
+        type: 'array',
+        items: { type: 'object', properties: columns, required: [table.columns[0].key, 'source'] }
+      };
+    });
+    return { type: 'object', properties, required: EXTRACT_TABLES.map(table => table.key) };
+  },
+
+  /**
+   * Parse a model's JSON answer into clean extracted data: every table
+   * present, every value a trimmed string, rows without their main value
+   * dropped, and only http(s) links kept.
+   * @param {string} text
+   * @returns {Object<string, Array<Object<string, string>>>}
+   * @throws {SyntaxError} When the answer isn't JSON (e.g. it was cut off)
+   */
+  parse(text) {
+    // Some OpenAI-compatible servers wrap JSON answers in a code fence
+    const json = JSON.parse(text.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, ''));
+    const data = {};
+    EXTRACT_TABLES.forEach((table) => {
+      const keys = [...table.columns.map(column => column.key), 'source'];
+      data[table.key] = (Array.isArray(json?.[table.key]) ? json[table.key] : [])
+        .filter(row => row && typeof row === 'object')
+        .map(row => Object.fromEntries(keys.map(key => [key, row[key] == null ? '' : String(row[key]).trim()])))
+        .filter(row => row[keys[0]]);
+    });
+    data.links = data.links.filter(row => /^https?:\/\//i.test(row.url));
+    return data;
+  },
+
+  /**
+   * Combine the extractions of a long page's sections, dropping repeats.
+   * @param {Array<Object>} parts - Parsed extractions, in page order
+   * @returns {Object}
+   */
+  merge(parts) {
+    const data = {};
+    EXTRACT_TABLES.forEach((table) => {
+      const seen = new Set();
+      data[table.key] = parts.flatMap(part => part[table.key] || []).filter((row) => {
+        const id = table.columns.slice(0, 2).map(column => row[column.key].toLowerCase()).join('\u0000');
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      });
+    });
+    return data;
+  },
+
+  /**
+   * Number of extracted items across all tables.
+   * @param {Object} data
+   * @returns {number}
+   */
+  count(data) {
+    return EXTRACT_TABLES.reduce((sum, table) => sum + (data[table.key] || []).length, 0);
+  },
+
+  /**
+   * Markdown tables (one per non-empty table), for the Library and the text exports.
+   * @param {Object} data
+   * @returns {string}
+   */
+  toMarkdown(data) {
+    const cell = value => value.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const sections = EXTRACT_TABLES.filter(table => data[table.key]?.length).map((table) => {
+      const header = [...table.columns.map(column => column.label), 'Source'];
+      const rows = data[table.key].map(row => [
+        ...table.columns.map(column => cell(row[column.key])),
+        row.source ? `[${cell(row.source)}]` : ''
+      ]);
+      return [
+        `### ${table.icon} ${table.title}`,
+        '',
+        `| ${header.join(' | ')} |`,
+        `| ${header.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.join(' | ')} |`)
+      ].join('\n');
+    });
+    return sections.join('\n\n') || '_Nothing to extract on this page._';
+  },
+
+  /**
+   * CSV of one or more tables. With several, a leading "Table" column says
+   * which table a row is from and the columns are the union of theirs.
+   * @param {Object} data
+   * @param {Array<Object>} [tables] - Entries of EXTRACT_TABLES; all by default
+   * @returns {string}
+   */
+  toCsv(data, tables = EXTRACT_TABLES) {
+    const columns = [];
+    tables.forEach((table) => {
+      table.columns.forEach((column) => {
+        if (!columns.some(existing => existing.key === column.key)) columns.push(column);
+      });
+    });
+    columns.push({ key: 'source', label: 'Source' });
+
+    const several = tables.length > 1;
+    const lines = [[...(several ? ['Table'] : []), ...columns.map(column => column.label)]];
+    tables.forEach((table) => {
+      (data[table.key] || []).forEach((row) => {
+        lines.push([...(several ? [table.title] : []), ...columns.map(column => row[column.key] || '')]);
+      });
+    });
+    return lines.map(line => line.map(value => this.csvCell(value)).join(',')).join('\r\n') + '\r\n';
+  },
+
+  /**
+   * The extraction as a JSON document, with where and when it was made.
+   * @param {Object} data
+   * @param {{ title: string, url: string, createdAt: number }} entry
+   * @returns {string}
+   */
+  toJson(data, entry) {
+    return JSON.stringify({
+      title: entry.title,
+      url: entry.url,
+      extractedAt: new Date(entry.createdAt).toISOString(),
+      ...data
+    }, null, 2);
+  },
+
+  /** Quote a CSV value when needed, and defuse values a spreadsheet would run as a formula. */
+  csvCell(value) {
+    let text = String(value);
+    // Negative numbers stay as they are
+    if (/^[=+@\t\r]|^-(?![\d.])/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+};
@@ -0,0 +1,107 @@
+/**
+ * Summary Cache — Remembers generated results per mode, page URL and content hash
+ * so reopening the drawer on an already-briefed page doesn't spend API quota.
+ *
+ * Entries live in chrome.storage.local (via Storage) and are evicted when they
+ * are older than MAX_AGE_MS or when the cache grows past MAX_TOTAL_BYTES
+ * (oldest first).
+ */
+
+const SummaryCache = {
+  // Entries older than this are discarded (7 days)
+  MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000,
+
+  // Upper bound on the serialized cache size (~2 MB of the 10 MB storage quota)
+  MAX_TOTAL_BYTES: 2 * 1024 * 1024,
+
+  /**
+   * Hash page content with 32-bit FNV-1a. Not cryptographic — it only needs to
+   * tell whether the extracted text changed since the result was cached.
+   * @param {string} text
+   * @returns {string} 8-character hex digest
+   */
+  hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+  },
+
+  /**
+   * Build the cache key for a mode and page URL (the fragment is ignored).
+   * @param {string} mode
+   * @param {string} url
+   * @returns {string}
+   */
+  keyFor(mode, url) {
+    return `${mode}|${url.split('#')[0]}`;
+  },
+
+  /**
+   * Look up a cached result. Returns null when missing, expired,
+   * or when the page content no longer matches.
+   * @param {string} mode
+   * @param {string} url
+   * @param {string} content - The extracted page content
+   * @returns {Promise<{ text: string, createdAt: number }|null>}
+   */
+  async get(mode, url, content) {
+    try {
+      const cache = await Storage.getSummaryCache();
+      const entry = cache[this.keyFor(mode, url)];
+      if (!entry) return null;
+      if (Date.now() - entry.createdAt > this.MAX_AGE_MS) return null;
+      if (entry.hash !== this.hash(content)) return null;
+      return { text: entry.text, createdAt: entry.createdAt };
+    } catch (error) {
+      console.warn('[SummaryCache] Lookup failed:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Store a result, replacing any older entry for the same mode and URL,
+   * then evict expired and oversized entries.
+   * @param {string} mode
+   * @param {string} url
+   * @param {string} content - The extracted page content the result was built from
+   * @param {string} text - The generated Markdown
+   */
+  async set(mode, url, content, text) {
+    try {
+      const cache = await Storage.getSummaryCache();
+      cache[this.keyFor(mode, url)] = {
+        hash: this.hash(content),
+        text,
+        createdAt: Date.now()
+      };
+      await Storage.setSummaryCache(this.evict(cache));
+    } catch (error) {
+      console.warn('[SummaryCache] Store failed:', error);
+    }
+  },
+
+  /**
+   * Remove expired entries, then the oldest ones until the cache fits MAX_TOTAL_BYTES.
+   * @param {Object<string, { hash: string, text: string, createdAt: number }>} cache
+   * @returns {Object} The pruned cache
+   */
+  evict(cache) {
+    const now = Date.now();
+    const entries = Object.entries(cache)
+      .filter(([, entry]) => now - entry.createdAt <= this.MAX_AGE_MS)
+      .sort((a, b) => b[1].createdAt - a[1].createdAt);
+
+    const pruned = {};
+    let totalBytes = 0;
+    for (const [key, entry] of entries) {
+      const size = key.length + entry.text.length + 64;
+      if (totalBytes + size > this.MAX_TOTAL_BYTES) break;
+      totalBytes += size;
+      pruned[key] = entry;
+    }
+    return pruned;
+  }
+};
@@ -0,0 +1,135 @@
+/**
+ * Usage — A local log of the API requests Briefrr makes (time, provider,
+ * model, mode, prompt size and token counts), for the usage dashboard in
+ * Settings and the drawer's daily-quota warning.
+ *
+ * Requests are recorded by the background worker once the model starts
+ * answering; requests that fail before that (rate limits, bad keys, network
+ * errors) aren't counted. Gemini's requests-per-day quota resets at midnight
+ * Pacific time, so days are counted in that time zone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const Usage = {
+  // Free-tier Gemini 2.5 Flash-Lite quota; Settings can change it for other tiers
+  DEFAULT_DAILY_LIMIT: 1000,
+
+  // Warn in the drawer once this share of the daily quota is used
+  WARN_RATIO: 0.8,
+
+  // Log entries older than this, or beyond MAX_ENTRIES, are dropped
+  MAX_AGE_DAYS: 30,
+  MAX_ENTRIES: 5000,
+
+  QUOTA_TIME_ZONE: 'America/Los_Angeles',
+
+  // Records are written one at a time, so concurrent streams don't overwrite each other
+  pending: Promise.resolve(),
+
+  /**
+   * Add a request to the log.
+   * @param {{ provider: string, model: string, mode: string, promptChars: number, promptTokens?: number|null, outputTokens?: number|null, totalTokens?: number|null, complete: boolean }} entry
+   * @returns {Promise<void>}
+   */
+  record(entry) {
+    this.pending = this.pending.then(async () => {
+      const cutoff = Date.now() - this.MAX_AGE_DAYS * DAY_MS;
+      const log = (await Storage.getUsageLog()).filter(item => item.time >= cutoff);
+      log.push({ time: Date.now(), promptTokens: null, outputTokens: null, totalTokens: null, ...entry });
+      await Storage.setUsageLog(log.slice(-this.MAX_ENTRIES));
+    }).catch(error => console.warn('[Usage] Could not record request:', error));
+    return this.pending;
+  },
+
+  /**
+   * The quota day a timestamp falls on, as YYYY-MM-DD in Pacific time.
+   * @param {number} time
+   * @returns {string}
+   */
+  dayKey(time) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: this.QUOTA_TIME_ZONE }).format(time);
+  },
+
+  /**
+   * Totals per quota day for the last `days` days (oldest first), including days without requests.
+   * @param {Array<Object>} log - From Storage.getUsageLog()
+   * @param {number} days
+   * @returns {Array<{ day: string, requests: number, promptTokens: number, outputTokens: number, modes: Object<string, number> }>}
+   */
+  byDay(log, days) {
+    const totals = new Map();
+    for (let i = days - 1; i >= 0; i--) {
+      const day = this.dayKey(Date.now() - i * DAY_MS);
+      totals.set(day, { day, requests: 0, promptTokens: 0, outputTokens: 0, modes: {} });
+    }
+
+    log.forEach(entry => {
+      const total = totals.get(this.dayKey(entry.time));
+      if (!total) return;
+      total.requests++;
+      total.promptTokens += entry.promptTokens || 0;
+      total.outputTokens += entry.outputTokens || 0;
+      total.modes[entry.mode] = (total.modes[entry.mode] || 0) + 1;
+    });
+
+    return [...totals.values()];
+  },
+
+  /**
+   * Today's Gemini requests against the daily quota.
+   * @returns {Promise<{ requests: number, tokens: number, limit: number, remaining: number, nearLimit: boolean }>}
+   */
+  async getToday() {
+    const today = this.dayKey(Date.now());
+    const entries = (await Storage.getUsageLog())
+      .filter(entry => entry.provider === 'gemini' && this.dayKey(entry.time) === today);
+    const limit = (await Storage.getDailyRequestLimit()) || this.DEFAULT_DAILY_LIMIT;
+    const requests = entries.length;
+
+    return {
+      requests,
+      tokens: entries.reduce((sum, entry) => sum + (entry.totalTokens || 0), 0),
+      limit,
+      remaining: Math.max(0, limit - requests),
+      nearLimit: requests >= limit * this.WARN_RATIO
+    };
+  },
+
+  /**
+   * Time until the daily quota resets (the next midnight Pacific time).
+   * @returns {number} Milliseconds
+   */
+  msUntilQuotaReset() {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: this.QUOTA_TIME_ZONE, hourCycle: 'h23', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(Date.now()).map(part => [part.type, Number(part.value)]));
+    const elapsed = ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000;
+    return DAY_MS - elapsed;
+  },
+
+  /**
+   * Rough wait time for display, e.g. "12 seconds", "3 minutes", "2 hours".
+   * @param {number} ms
+   * @returns {string}
+   */
+  formatWait(ms) {
+    const seconds = Math.max(1, Math.ceil(ms / 1000));
+    if (seconds < 60) return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 120) return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+    return `${Math.ceil(minutes / 60)} hours`;
+  },
+
+  /**
+   * Compact number for display, e.g. 1234 → "1.2k".
+   * @param {number} n
+   * @returns {string}
+   */
+  formatCount(n) {
+    if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+    if (n >= 1e4) return `${Math.round(n / 1e3)}k`;
+    if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+    return String(n);
+  }
+};
@@ -0,0 +1,207 @@
+/**
+ * YouTube Extractor — Builds a timestamped transcript of the current YouTube
+ * video from its caption track, for briefing videos instead of the page
+ * around them (description and comments).
+ *
+ * The player data is read from a fresh copy of the watch page, because the
+ * inline data in the live page goes stale as YouTube navigates between videos
+ * without reloading. If YouTube won't serve the captions, an open
+ * "Show transcript" panel is used instead.
+ *
+ * Transcript lines start with their timestamp ("[4:05] ..."), which the
+ * model cites and the drawer turns into links that seek the player.
+ */
+
+// Transcript cues are grouped into passages of about this many seconds
+const TRANSCRIPT_PASSAGE_SECONDS = 30;
+
+/**
+ * Whether the current tab is a YouTube video (watch page or Short).
+ * @returns {boolean}
+ */
+function isYouTubeVideo() {
+  return /(^|\.)youtube\.com$/.test(location.hostname) && !!getYouTubeVideoId();
+}
+
+/** The current video id, or '' when not on a video. */
+function getYouTubeVideoId() {
+  if (location.pathname === '/watch') return new URLSearchParams(location.search).get('v') || '';
+  return location.pathname.match(/^\/shorts\/([\w-]+)/)?.[1] || '';
+}
+
+/**
+ * Fetch the current video's captions as a timestamped transcript.
+ * Returns the same shape as extractContent(); `paragraphs` is empty since
+ * citations are timestamps rather than passage numbers.
+ * @returns {Promise<{ title: string, content: string, fullContent: string, paragraphs: string[], excerpt: string, siteName: string, language: string, length: number, isTranscript: true, channel: string }>}
+ * @throws {Error} When the video has no captions Briefrr can read
+ */
+async function extractYouTubeTranscript() {
+  const videoId = getYouTubeVideoId();
+  const html = await (await fetch(`/watch?v=${encodeURIComponent(videoId)}`, { credentials: 'include' })).text();
+  const player = readJsonAfter(html, 'ytInitialPlayerResponse') || {};
+  const details = player.videoDetails || {};
+
+  let cues = [];
+  let language = '';
+  const track = pickCaptionTrack(player.captions?.playerCaptionsTracklistRenderer?.captionTracks || []);
+  if (track) {
+    try {
+      cues = await fetchCaptionCues(track.baseUrl);
+      if (cues.length) language = track.languageCode;
+    } catch (err) {
+      console.warn('[Briefrr] Caption download failed:', err.message);
+    }
+  }
+  if (!cues.length) cues = readTranscriptPanel();
+  if (!cues.length) {
+    throw new Error(track
+      ? 'YouTube didn\'t return the captions. Open "Show transcript" under the video and try again.'
+      : 'This video has no captions or transcript to read.');
+  }
+
+  const fullContent = groupCues(cues).map(({ start, text }) => `[${formatTimestamp(start)}] ${text}`).join('\n');
+  return {
+    title: details.title || document.title.replace(/ - YouTube$/, ''),
+    content: fullContent.substring(0, MAX_CONTENT_LENGTH),
+    fullContent,
+    paragraphs: [],
+    excerpt: (details.shortDescription || '').slice(0, 300),
+    siteName: 'YouTube',
+    language: detectLanguage(fullContent, language),
+    length: fullContent.length,
+    isTranscript: true,
+    channel: details.author || ''
+  };
+}
+
+/**
+ * Prefer human-written captions in the browser's language, then any
+ * human-written track, then auto-generated ones.
+ * @param {Array<{ baseUrl: string, languageCode: string, kind?: string }>} tracks
+ */
+function pickCaptionTrack(tracks) {
+  const language = navigator.language.split('-')[0];
+  const manual = tracks.filter(track => track.kind !== 'asr');
+  return manual.find(track => track.languageCode.startsWith(language)) ||
+    manual[0] ||
+    tracks.find(track => track.languageCode.startsWith(language)) ||
+    tracks[0] ||
+    null;
+}
+
+/**
+ * Download a caption track in YouTube's JSON format.
+ * @param {string} baseUrl
+ * @returns {Promise<Array<{ start: number, text: string }>>} Start times in seconds
+ */
+async function fetchCaptionCues(baseUrl) {
+  const url = new URL(baseUrl, location.origin);
+  url.searchParams.set('fmt', 'json3');
+  const res = await fetch(url, { credentials: 'include' });
+  const body = await res.text();
+  if (!res.ok || !body) return [];
+
+  return (JSON.parse(body).events || [])
+    .filter(event => event.segs)
+    .map(event => ({
+      start: event.tStartMs / 1000,
+      text: normalizeText(event.segs.map(seg => seg.utf8 || '').join(''))
+    }))
+    .filter(cue => cue.text);
+}
+
+/** Cues from the "Show transcript" panel, if the user has it open. */
+function readTranscriptPanel() {
+  return Array.from(document.querySelectorAll('ytd-transcript-segment-renderer'))
+    .map(segment => ({
+      start: parseTimestamp(segment.querySelector('.segment-timestamp')?.textContent || ''),
+      text: normalizeText(segment.querySelector('.segment-text')?.textContent || '')
+    }))
+    .filter(cue => cue.text && cue.start !== null);
+}
+
+/**
+ * Merge short caption cues into passages of about TRANSCRIPT_PASSAGE_SECONDS.
+ * @param {Array<{ start: number, text: string }>} cues
+ * @returns {Array<{ start: number, text: string }>}
+ */
+function groupCues(cues) {
+  const passages = [];
+  cues.forEach(cue => {
+    const last = passages[passages.length - 1];
+    if (last && cue.start - last.start < TRANSCRIPT_PASSAGE_SECONDS) {
+      last.text += ' ' + cue.text;
+    } else {
+      passages.push({ start: cue.start, text: cue.text });
+    }
+  });
+  return passages;
+}
+
+/**
+ * Format seconds as m:ss or h:mm:ss.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Parse m:ss or h:mm:ss into seconds.
+ * @param {string} timestamp
+ * @returns {number|null}
+ */
+function parseTimestamp(timestamp) {
+  const parts = timestamp.trim().split(':');
+  if (parts.length < 2 || parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Read the JSON object assigned to a variable in an inline script, e.g.
+ * `var ytInitialPlayerResponse = {...};`.
+ * @param {string} html
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function readJsonAfter(html, name) {
+  const match = html.match(new RegExp(`${name}\\s*=\\s*\\{`));
+  if (!match) return null;
+
+  // Walk to the matching closing brace, skipping over strings
+  const start = match.index + match[0].length - 1;
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < html.length; i++) {
+    const ch = html[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      try {
+        return JSON.parse(html.slice(start, i + 1));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/** Seek the page's video to a timestamp (in seconds) and play it. */
+function seekVideo(seconds) {
+  const video = document.querySelector('video');
+  if (!video) return;
+  video.currentTime = seconds;
+  video.play().catch(() => { /* autoplay blocked — the seek still applies */ });
+}